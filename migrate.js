@@ -0,0 +1,195 @@
+// migrate.js - Versioned schema migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// up(db) and down(db). Files run in order, each in its own transaction
+// together with its row in schema_migrations, so a failed migration leaves
+// nothing half-applied.
+//
+// Usage:
+//   npm run migrate              apply every pending migration
+//   npm run migrate -- down [n]  roll back the last n migrations (default 1)
+//   npm run migrate -- status    list migrations and when they were applied
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Advisory lock key, held while migrating so two servers starting at once
+// don't apply the same migration twice
+const MIGRATION_LOCK = 48151623;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => ({
+      version: file.replace(/\.js$/, ''),
+      number: parseInt(file),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.number - b.number);
+  
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.number === migrations[index - 1].number) {
+      throw new Error(`Duplicate migration number: ${migrations[index - 1].version} and ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version} has no up()`);
+    }
+  });
+  
+  return migrations;
+}
+
+async function withMigrationLock(pool, work) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await work(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+  return new Map(result.rows.map(row => [row.version, row.applied_at]));
+}
+
+async function runInTransaction(client, version, step) {
+  try {
+    await client.query('BEGIN');
+    await step();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${version} failed: ${error.message}`);
+  }
+}
+
+// Apply every pending migration; returns the versions applied
+async function migrateUp(pool) {
+  const migrations = loadMigrations();
+  
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    
+    for (const migration of pending) {
+      await runInTransaction(client, migration.version, async () => {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+      });
+      console.log('✅ Migration applied:', migration.version);
+    }
+    
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+    }
+    
+    return pending.map(migration => migration.version);
+  });
+}
+
+// Roll back the most recently applied migrations; returns the versions rolled back
+async function migrateDown(pool, steps = 1) {
+  const migrations = loadMigrations();
+  
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const targets = [...applied.keys()]
+      .sort((a, b) => parseInt(b) - parseInt(a))
+      .slice(0, steps);
+    
+    for (const version of targets) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${version} cannot be rolled back`);
+      }
+      
+      await runInTransaction(client, version, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+      console.log('↩️ Migration rolled back:', version);
+    }
+    
+    return targets;
+  });
+}
+
+// Every known migration with its applied time (null while pending). Versions
+// recorded in the database without a file are listed with missing: true.
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+  
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const known = new Set(migrations.map(migration => migration.version));
+    
+    return [
+      ...migrations.map(migration => ({
+        version: migration.version,
+        applied_at: applied.get(migration.version) || null
+      })),
+      ...[...applied.keys()]
+        .filter(version => !known.has(version))
+        .map(version => ({ version, applied_at: applied.get(version), missing: true }))
+    ];
+  });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  const commands = {
+    up: () => migrateUp(pool),
+    down: () => {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down takes a positive number of migrations to roll back');
+      }
+      return migrateDown(pool, steps);
+    },
+    status: async () => {
+      const rows = await migrationStatus(pool);
+      rows.forEach(row => {
+        const state = row.missing ? 'applied, file missing' 
+          : row.applied_at ? `applied ${new Date(row.applied_at).toISOString()}` 
+          : 'pending';
+        console.log(`${row.applied_at ? '✅' : '⏳'} ${row.version} - ${state}`);
+      });
+    }
+  };
+  
+  Promise.resolve()
+    .then(() => {
+      if (!commands[command]) {
+        throw new Error(`Unknown command "${command}". Use up, down [n] or status`);
+      }
+      return commands[command]();
+    })
+    .catch(error => {
+      console.log('❌ Migration error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,390 @@
+// 001_baseline - The schema as it stood when migrations were introduced.
+//
+// Databases set up by the old startup code may have any earlier version of
+// these tables, so everything here is written to be safe on them: tables are
+// created only if missing and later columns are added only if missing.
+const bcrypt = require('bcryptjs');
+
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'DS';
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      full_name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      role VARCHAR(20) DEFAULT 'cashier',
+      status VARCHAR(20) DEFAULT 'pending',
+      bio TEXT,
+      avatar_url VARCHAR(255),
+      password_changed_at TIMESTAMPTZ,
+      preferences JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login TIMESTAMP
+    );
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'pending';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}';
+
+    -- Users from before approvals existed were already working
+    UPDATE users SET status = 'active' WHERE status IS NULL;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      sku VARCHAR(64) UNIQUE,
+      barcode VARCHAR(64) UNIQUE,
+      reorder_level INTEGER,
+      reorder_quantity INTEGER,
+      category VARCHAR(50) NOT NULL,
+      purchase_price DECIMAL(10,2) NOT NULL,
+      selling_price DECIMAL(10,2) NOT NULL,
+      stock INTEGER NOT NULL DEFAULT 0,
+      archived BOOLEAN DEFAULT false,
+      archived_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS archived BOOLEAN DEFAULT false;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(64) UNIQUE;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS barcode VARCHAR(64) UNIQUE;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_level INTEGER;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_quantity INTEGER;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sales (
+      id SERIAL PRIMARY KEY,
+      date DATE NOT NULL,
+      customer VARCHAR(100) NOT NULL,
+      total DECIMAL(10,2) NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      status VARCHAR(20) DEFAULT 'completed',
+      refunded_total DECIMAL(10,2) DEFAULT 0,
+      change_given DECIMAL(10,2) DEFAULT 0,
+      idempotency_key VARCHAR(100) UNIQUE,
+      idempotency_hash CHAR(64),
+      receipt_number VARCHAR(40) UNIQUE,
+      subtotal DECIMAL(10,2),
+      discount_total DECIMAL(10,2) DEFAULT 0,
+      tax_total DECIMAL(10,2) DEFAULT 0,
+      tax_rate DECIMAL(5,2) DEFAULT 0,
+      tax_mode VARCHAR(10) DEFAULT 'inclusive',
+      discount_approved_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'completed';
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS refunded_total DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS change_given DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100) UNIQUE;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS idempotency_hash CHAR(64);
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(40) UNIQUE;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2);
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) DEFAULT 0;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax_mode VARCHAR(10) DEFAULT 'inclusive';
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_approved_by INTEGER REFERENCES users(id);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sale_items (
+      id SERIAL PRIMARY KEY,
+      sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE,
+      product_id INTEGER REFERENCES products(id),
+      quantity INTEGER NOT NULL,
+      unit_price DECIMAL(10,2) NOT NULL,
+      total_price DECIMAL(10,2) NOT NULL,
+      returned_quantity INTEGER NOT NULL DEFAULT 0,
+      discount_amount DECIMAL(10,2) DEFAULT 0,
+      promotion_id INTEGER,
+      tax_rate DECIMAL(5,2) DEFAULT 0,
+      tax_amount DECIMAL(10,2) DEFAULT 0
+    );
+
+    ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS returned_quantity INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS promotion_id INTEGER;
+    ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) DEFAULT 0;
+    ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) DEFAULT 0;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id SERIAL PRIMARY KEY,
+      sale_id INTEGER NOT NULL REFERENCES sales(id),
+      type VARCHAR(20) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      reason TEXT NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS refund_items (
+      id SERIAL PRIMARY KEY,
+      refund_id INTEGER NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+      sale_item_id INTEGER NOT NULL REFERENCES sale_items(id),
+      product_id INTEGER REFERENCES products(id),
+      quantity INTEGER NOT NULL,
+      amount DECIMAL(10,2) NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS payments (
+      id SERIAL PRIMARY KEY,
+      sale_id INTEGER NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+      method VARCHAR(20) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      tendered DECIMAL(10,2) NOT NULL,
+      reference VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      type VARCHAR(20) NOT NULL,
+      quantity INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      reason VARCHAR(30),
+      note TEXT,
+      reference_type VARCHAR(20),
+      reference_id INTEGER,
+      user_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Products that predate the ledger start with an opening balance entry
+    INSERT INTO stock_movements (product_id, type, quantity, balance_after, note)
+    SELECT p.id, 'opening', p.stock, p.stock, 'Opening balance'
+    FROM products p
+    WHERE NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      contact_person VARCHAR(255),
+      phone VARCHAR(50),
+      email VARCHAR(255),
+      address TEXT,
+      notes TEXT,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id SERIAL PRIMARY KEY,
+      supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      expected_date DATE,
+      notes TEXT,
+      total DECIMAL(10,2) NOT NULL DEFAULT 0,
+      user_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      quantity INTEGER NOT NULL,
+      unit_cost DECIMAL(10,2) NOT NULL,
+      received_quantity INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS goods_received_notes (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      note TEXT,
+      update_cost BOOLEAN NOT NULL DEFAULT false,
+      user_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS goods_received_items (
+      id SERIAL PRIMARY KEY,
+      goods_received_note_id INTEGER NOT NULL REFERENCES goods_received_notes(id) ON DELETE CASCADE,
+      purchase_order_item_id INTEGER NOT NULL REFERENCES purchase_order_items(id),
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      quantity INTEGER NOT NULL,
+      unit_cost DECIMAL(10,2) NOT NULL
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_refresh_hash CHAR(64),
+      rotated_at TIMESTAMPTZ,
+      user_agent TEXT,
+      ip VARCHAR(64),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_hash ON sessions(previous_refresh_hash);
+  `);
+
+  // One row per year holding the last receipt number issued
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS receipt_counters (
+      year INTEGER PRIMARY KEY,
+      last_number INTEGER NOT NULL
+    )
+  `);
+
+  // Number any sales made before receipt numbers existed, carrying on from each year's counter
+  const unnumbered = await db.query(`
+    WITH numbered AS (
+      SELECT s.id, EXTRACT(YEAR FROM s.date)::int as year,
+        COALESCE(rc.last_number, 0) + ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM s.date) ORDER BY s.created_at, s.id) as number
+      FROM sales s
+      LEFT JOIN receipt_counters rc ON rc.year = EXTRACT(YEAR FROM s.date)::int
+      WHERE s.receipt_number IS NULL
+    )
+    UPDATE sales SET receipt_number = $1 || '-' || numbered.year || '-' || LPAD(numbered.number::text, 6, '0')
+    FROM numbered WHERE sales.id = numbered.id
+    RETURNING numbered.year, numbered.number
+  `, [RECEIPT_PREFIX]);
+
+  if (unnumbered.rows.length > 0) {
+    await db.query(`
+      INSERT INTO receipt_counters (year, last_number)
+      SELECT (r->>'year')::int, MAX((r->>'number')::int) FROM json_array_elements($1::json) r GROUP BY 1
+      ON CONFLICT (year) DO UPDATE SET last_number = GREATEST(receipt_counters.last_number, EXCLUDED.last_number)
+    `, [JSON.stringify(unnumbered.rows)]);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS promotions (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('buy_x_pay_y', 'percent')),
+      category VARCHAR(50),
+      product_id INTEGER REFERENCES products(id),
+      buy_quantity INTEGER,
+      pay_quantity INTEGER,
+      percent DECIMAL(5,2),
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      active BOOLEAN DEFAULT true,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      CHECK (category IS NOT NULL OR product_id IS NOT NULL)
+    );
+
+    -- Shop-wide settings; keys missing here fall back to SETTING_DEFAULTS
+    CREATE TABLE IF NOT EXISTS settings (
+      key VARCHAR(50) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INTEGER REFERENCES users(id),
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // One open alert per product at a time; each user acknowledges it separately
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS stock_alerts (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      stock INTEGER NOT NULL,
+      reorder_level INTEGER NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMPTZ
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS stock_alerts_open_product
+      ON stock_alerts (product_id) WHERE resolved_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS stock_alert_acknowledgements (
+      alert_id INTEGER NOT NULL REFERENCES stock_alerts(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      acknowledged_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (alert_id, user_id)
+    )
+  `);
+
+  // Append-only: a trigger refuses updates and deletes. There is no foreign key
+  // on user_id so removing a user never has to rewrite history; the actor's
+  // email is kept alongside it.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER,
+      actor_email VARCHAR(100),
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id VARCHAR(50),
+      before JSONB,
+      after JSONB,
+      ip VARCHAR(45),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS audit_log_created_at ON audit_log (created_at);
+    CREATE INDEX IF NOT EXISTS audit_log_entity ON audit_log (entity_type, entity_id);
+
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;
+    CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+  `);
+
+  // A brand new database gets a super admin to sign in with
+  const users = await db.query('SELECT COUNT(*)::int as count FROM users');
+  if (users.rows[0].count === 0) {
+    const hashedPassword = await bcrypt.hash('admin123', 10);
+    await db.query(
+      `INSERT INTO users (full_name, email, password, role, status)
+       VALUES ($1, $2, $3, $4, $5)`,
+      ['Super Admin', 'admin@disc.com', hashedPassword, 'superadmin', 'active']
+    );
+    console.log('✅ Default admin user created');
+  }
+};
+
+// Drops everything, data included
+exports.down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS
+      audit_log, stock_alert_acknowledgements, stock_alerts, settings, promotions,
+      receipt_counters, sessions, password_resets,
+      goods_received_items, goods_received_notes, purchase_order_items, purchase_orders, suppliers,
+      stock_movements, payments, refund_items, refunds, sale_items, sales, products, users;
+
+    DROP FUNCTION IF EXISTS audit_log_append_only();
+  `);
+};
@@ -0,0 +1,34 @@
+// 002_query_indexes - Indexes for the filters and joins the API runs most:
+// sales by date and time, sale lines and payments by sale, ledger entries by
+// product, purchase orders by supplier and status, sessions by user.
+const INDEXES = [
+  ['idx_sales_date', 'sales (date)'],
+  ['idx_sales_created_at', 'sales (created_at)'],
+  ['idx_sales_user_id', 'sales (user_id)'],
+  ['idx_sale_items_sale_id', 'sale_items (sale_id)'],
+  ['idx_sale_items_product_id', 'sale_items (product_id)'],
+  ['idx_payments_sale_id', 'payments (sale_id)'],
+  ['idx_refunds_sale_id', 'refunds (sale_id)'],
+  ['idx_refund_items_refund_id', 'refund_items (refund_id)'],
+  ['idx_stock_movements_product_created', 'stock_movements (product_id, created_at)'],
+  ['idx_purchase_orders_supplier_id', 'purchase_orders (supplier_id)'],
+  ['idx_purchase_orders_status', 'purchase_orders (status)'],
+  ['idx_purchase_order_items_order_id', 'purchase_order_items (purchase_order_id)'],
+  ['idx_goods_received_notes_order_id', 'goods_received_notes (purchase_order_id)'],
+  ['idx_goods_received_items_note_id', 'goods_received_items (goods_received_note_id)'],
+  ['idx_sessions_user_id', 'sessions (user_id)'],
+  ['idx_password_resets_user_id', 'password_resets (user_id)'],
+  ['idx_audit_log_user_id', 'audit_log (user_id)']
+];
+
+exports.up = async (db) => {
+  for (const [name, definition] of INDEXES) {
+    await db.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition}`);
+  }
+};
+
+exports.down = async (db) => {
+  for (const [name] of INDEXES) {
+    await db.query(`DROP INDEX IF EXISTS ${name}`);
+  }
+};
@@ -0,0 +1,14 @@
+// 003_sale_submitted_at - When a sale reached the server. created_at is the
+// time of sale, which an offline or backdated sale sets in the past; earlier
+// sales take it as their submit time.
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+    UPDATE sales SET submitted_at = created_at WHERE submitted_at IS NULL;
+    ALTER TABLE sales ALTER COLUMN submitted_at SET DEFAULT CURRENT_TIMESTAMP;
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query('ALTER TABLE sales DROP COLUMN IF EXISTS submitted_at');
+};
@@ -8,7 +8,13 @@ const { Pool } = require('pg');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
 const socketIo = require('socket.io');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const { migrateUp } = require('./migrate');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,6 +27,11 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Uploaded files (profile pictures) live outside public/ and are served from /uploads
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+fs.mkdirSync(AVATAR_DIR, { recursive: true });
+
 // 🔧 FIX: ADD TRUST PROXY FOR VERCEL
 app.set('trust proxy', 1);
 
@@ -29,6 +40,7 @@ app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/uploads', express.static(UPLOAD_DIR));
 
 // 🔧 FIX: RATE LIMITING WITH PROXY SETTINGS
 const limiter = rateLimit({
@@ -40,167 +52,130 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Failed password checks per IP: logins, and manager approvals sent with a sale
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: { success: false, error: 'Too many failed login attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Database connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false }
 });
 
-// Track active WebSocket connections
+// Track active WebSocket connections: socket id -> verified user
 const activeUsers = new Map();
 
-// DATABASE INITIALIZATION FUNCTION
-async function initializeDatabase() {
+// WebSocket handling
+
+// Sockets connect with the same access token as the API and are tied to its session
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+  
   try {
-    console.log('🔄 Checking database tables...');
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    const result = await resolveSession(payload);
     
-    // Check if users table exists
-    const tableCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'users'
-    `);
+    if (result.error) {
+      return next(new Error(result.error));
+    }
     
-    if (tableCheck.rows.length === 0) {
-      console.log('❌ Users table missing. Creating tables...');
-      
-      // Create users table
-      await pool.query(`
-        CREATE TABLE users (
-          id SERIAL PRIMARY KEY,
-          full_name VARCHAR(100) NOT NULL,
-          email VARCHAR(100) UNIQUE NOT NULL,
-          password VARCHAR(255) NOT NULL,
-          role VARCHAR(20) DEFAULT 'cashier',
-          status VARCHAR(20) DEFAULT 'pending',
-          bio TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          last_login TIMESTAMP
-        );
-      `);
-      console.log('✅ Users table created');
-
-      // Create products table
-      await pool.query(`
-        CREATE TABLE products (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(100) NOT NULL,
-          category VARCHAR(50) NOT NULL,
-          purchase_price DECIMAL(10,2) NOT NULL,
-          selling_price DECIMAL(10,2) NOT NULL,
-          stock INTEGER NOT NULL DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      console.log('✅ Products table created');
-
-      // Create sales table
-      await pool.query(`
-        CREATE TABLE sales (
-          id SERIAL PRIMARY KEY,
-          date DATE NOT NULL,
-          customer VARCHAR(100) NOT NULL,
-          total DECIMAL(10,2) NOT NULL,
-          user_id INTEGER REFERENCES users(id),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      console.log('✅ Sales table created');
-
-      // Create sale_items table
-      await pool.query(`
-        CREATE TABLE sale_items (
-          id SERIAL PRIMARY KEY,
-          sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE,
-          product_id INTEGER REFERENCES products(id),
-          quantity INTEGER NOT NULL,
-          unit_price DECIMAL(10,2) NOT NULL,
-          total_price DECIMAL(10,2) NOT NULL
-        );
-      `);
-      console.log('✅ Sale items table created');
+    socket.data.user = result.user;
+    socket.data.sessionId = payload.sid;
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+});
 
-      // Create default super admin user
-      const hashedPassword = await bcrypt.hash('admin123', 10);
-      await pool.query(
-        `INSERT INTO users (full_name, email, password, role, status) 
-         VALUES ($1, $2, $3, $4, $5)`,
-        ['Super Admin', 'admin@disc.com', hashedPassword, 'superadmin', 'active']
-      );
-      console.log('✅ Default admin user created');
+// Every socket joins a room for its role and one for its user, so events
+// can be sent only to the people allowed to see them
+const roleRoom = (role) => `role:${role}`;
+const userRoom = (userId) => `user:${userId}`;
 
-    } else {
-      console.log('✅ Database tables already exist');
-      
-      // 🔧 FIX: Ensure status column exists
-      try {
-        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT \'pending\'');
-        console.log('✅ Status column verified');
-        
-        // Update existing users to active if status is null
-        await pool.query('UPDATE users SET status = \'active\' WHERE status IS NULL');
-        console.log('✅ Existing users status updated');
-      } catch (alterError) {
-        console.log('ℹ️ Status column already exists');
-      }
-      
-      // Log existing tables
-      const tables = await pool.query(`
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = 'public'
-      `);
-      console.log('📊 Existing tables:', tables.rows.map(t => t.table_name));
+// Rooms for every role that holds a permission
+const permissionRooms = (permission) => Object.keys(ROLE_PERMISSIONS)
+  .filter(role => ROLE_PERMISSIONS[role].includes(permission))
+  .map(roleRoom);
+
+const emitToPermission = (permission, event, data) => {
+  io.to(permissionRooms(permission)).emit(event, data);
+};
+
+// Number of distinct users with at least one open socket
+const onlineUserCount = () => new Set([...activeUsers.values()].map(user => user.id)).size;
+
+const isUserOnline = (userId) => [...activeUsers.values()].some(user => user.id === userId);
+
+// User changes go to user managers and to the user themselves. A role change
+// also moves that user's open sockets into their new role room.
+function emitUserUpdated(type, user, by) {
+  for (const socket of io.of('/').sockets.values()) {
+    const socketUser = socket.data.user;
+    if (socketUser && socketUser.id === user.id && user.role && socketUser.role !== user.role) {
+      socket.leave(roleRoom(socketUser.role));
+      socket.join(roleRoom(user.role));
+      socketUser.role = user.role;
+      activeUsers.set(socket.id, { ...activeUsers.get(socket.id), role: user.role });
     }
-    
-    console.log('🎉 Database initialization completed successfully!');
-    
-  } catch (error) {
-    console.log('❌ Database initialization failed:', error.message);
   }
+  
+  io.to([...permissionRooms('users.view'), userRoom(user.id)]).emit('user_updated', { type, user, by });
 }
 
-// WebSocket handling
 io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
-
-  socket.on('authenticate', (userData) => {
-    activeUsers.set(socket.id, userData);
-    socket.broadcast.emit('user_online', {
-      userId: userData.id,
-      userName: userData.full_name,
-      timestamp: new Date().toISOString()
-    });
+  const user = socket.data.user;
+  const wasOnline = isUserOnline(user.id);
+  
+  console.log('🔌 New client connected:', socket.id, user.email);
+  
+  socket.join([roleRoom(user.role), userRoom(user.id)]);
+  activeUsers.set(socket.id, {
+    id: user.id,
+    full_name: user.name,
+    role: user.role,
+    connected_at: new Date().toISOString()
   });
-
-  socket.on('product_updated', (data) => {
-    socket.broadcast.emit('product_updated', {
-      ...data,
-      updatedBy: activeUsers.get(socket.id)?.full_name,
+  
+  if (!wasOnline) {
+    socket.broadcast.emit('user_online', {
+      userId: user.id,
+      userName: user.name,
       timestamp: new Date().toISOString()
     });
-  });
+  }
+  io.emit('connections_update', { totalUsers: onlineUserCount() });
+  
+  // Every till starts from the current shop settings; later changes arrive as settings_updated
+  socket.emit('settings', getSettings());
 
-  socket.on('sale_created', (data) => {
-    socket.broadcast.emit('sale_created', {
-      ...data,
-      createdBy: activeUsers.get(socket.id)?.full_name,
-      timestamp: new Date().toISOString()
-    });
+  // All business events come from server routes after the change is saved;
+  // anything a client emits is ignored
+  socket.onAny((event) => {
+    console.log('⚠️ Ignored client socket event:', event, 'from', user.email);
   });
 
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
-    const userData = activeUsers.get(socket.id);
-    if (userData) {
-      activeUsers.delete(socket.id);
+    activeUsers.delete(socket.id);
+    
+    if (!isUserOnline(user.id)) {
       socket.broadcast.emit('user_offline', {
-        userId: userData.id,
-        userName: userData.full_name,
+        userId: user.id,
+        userName: user.name,
         timestamp: new Date().toISOString()
       });
     }
+    io.emit('connections_update', { totalUsers: onlineUserCount() });
   });
 });
 
@@ -246,8 +221,20 @@ app.post('/api/register', async (req, res) => {
       [full_name, email, hashedPassword, role, status]
     );
     
+    await recordAudit(pool, req, {
+      action: 'user.registered',
+      entityType: 'user',
+      entityId: newUser.rows[0].id,
+      after: newUser.rows[0],
+      actor: newUser.rows[0]
+    });
+    
     console.log('✅ User registered successfully:', newUser.rows[0].email, 'Status:', status);
     
+    if (!isFirstUser) {
+      emitToPermission('users.manage', 'user_registered', { user: newUser.rows[0] });
+    }
+    
     res.json({ 
       success: true,
       message: isFirstUser ? 'Super Admin created successfully!' : 'Registration successful! Please wait for admin approval.',
@@ -264,8 +251,84 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
+// SESSIONS
+
+// Access tokens are short-lived JWTs tied to a session. The dashboard renews them
+// with the session's refresh token, which is stored hashed and rotated on every use.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A refresh token presented again this soon after rotation is treated as a
+// race between tabs rather than theft
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue the JWT the dashboard sends with every API call
+const signToken = (user, sessionId) => jwt.sign(
+  { 
+    id: user.id, 
+    sid: sessionId,
+    email: user.email, 
+    role: user.role,
+    name: user.full_name 
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a session for a user who just logged in
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at) 
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5)) RETURNING id`,
+    [user.id, hashToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 500), req.ip, REFRESH_TOKEN_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+  
+  return { session_id: sessionId, token: signToken(user, sessionId), refresh_token: refreshToken };
+}
+
+// Forget sessions that ended more than a month ago; runs at startup
+async function pruneSessions() {
+  const result = await pool.query(`
+    DELETE FROM sessions
+    WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '30 days'
+  `);
+  console.log('✅ Old sessions pruned:', result.rowCount);
+}
+
+// Disconnect any sockets that belong to the given sessions
+function disconnectSessions(sessionIds) {
+  if (sessionIds.length === 0) return;
+  for (const socket of io.of('/').sockets.values()) {
+    if (sessionIds.includes(socket.data.sessionId)) {
+      socket.emit('session_revoked', { sessionId: socket.data.sessionId });
+      socket.disconnect(true);
+    }
+  }
+}
+
+// Revoke a user's sessions: one (sessionId), all but one (exceptId), or all.
+// Returns the ids that were revoked.
+async function revokeSessions(db, userId, { sessionId = null, exceptId = null } = {}) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW() 
+     WHERE user_id = $1 AND revoked_at IS NULL 
+       AND ($2::int IS NULL OR id = $2::int) 
+       AND ($3::int IS NULL OR id <> $3::int)
+     RETURNING id`,
+    [userId, sessionId, exceptId]
+  );
+  const ids = result.rows.map(row => row.id);
+  disconnectSessions(ids);
+  return ids;
+}
+
 // 🔧 FIX 2: User Login - FIXED VERSION
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -278,6 +341,12 @@ app.post('/api/login', async (req, res) => {
     );
     
     if (userResult.rows.length === 0) {
+      await recordAudit(pool, req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        after: { email, reason: 'unknown_email' },
+        actor: { email: String(email || '').slice(0, 100) }
+      });
       return res.status(400).json({ 
         success: false,
         error: 'Invalid email or password' 
@@ -289,6 +358,13 @@ app.post('/api/login', async (req, res) => {
     // Check password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await recordAudit(pool, req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        after: { reason: 'wrong_password' },
+        actor: user
+      });
       return res.status(400).json({ 
         success: false,
         error: 'Invalid email or password' 
@@ -297,9 +373,18 @@ app.post('/api/login', async (req, res) => {
     
     // 🔧 FIX: Check if user is active
     if (user.status !== 'active') {
+      await recordAudit(pool, req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        after: { reason: user.status },
+        actor: user
+      });
       return res.status(400).json({ 
         success: false,
-        error: 'Account is pending approval. Please contact administrator.' 
+        error: user.status === 'blocked'
+          ? 'Account is blocked. Please contact administrator.'
+          : 'Account is pending approval. Please contact administrator.' 
       });
     }
     
@@ -309,30 +394,32 @@ app.post('/api/login', async (req, res) => {
       [user.id]
     );
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role,
-        name: user.full_name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session and generate tokens
+    const session = await createSession(user, req);
+    
+    await recordAudit(pool, req, {
+      action: 'auth.login',
+      entityType: 'session',
+      entityId: session.session_id,
+      after: { user_agent: (req.headers['user-agent'] || '').slice(0, 500) },
+      actor: user
+    });
     
     console.log('✅ Login successful:', user.email);
     
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      token: session.token,
+      refresh_token: session.refresh_token,
       user: {
         id: user.id,
         full_name: user.full_name,
         email: user.email,
         role: user.role,
-        status: user.status
+        status: user.status,
+        bio: user.bio,
+        avatar_url: user.avatar_url
       }
     });
     
@@ -345,6 +432,38 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Check a verified token against its account and session.
+// The account is re-read every time so blocking a user, changing their role or
+// revoking the session takes effect immediately rather than when the token expires.
+async function resolveSession(payload) {
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.full_name, u.role, u.status,
+       s.revoked_at IS NULL AND s.expires_at > NOW() as session_active,
+       s.last_seen_at < NOW() - INTERVAL '1 minute' as session_stale
+     FROM users u
+     LEFT JOIN sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [payload.id, payload.sid || null]
+  );
+  const account = result.rows[0];
+  
+  if (!account || account.status !== 'active') {
+    return { error: 'Account is blocked or no longer active' };
+  }
+  
+  if (!account.session_active) {
+    return { error: 'Session has ended. Please log in again.' };
+  }
+  
+  // Keep "last seen" roughly current without writing on every request
+  if (account.session_stale) {
+    pool.query('UPDATE sessions SET last_seen_at = NOW() WHERE id = $1', [payload.sid])
+      .catch(error => console.log('❌ Session touch error:', error.message));
+  }
+  
+  return { user: { ...payload, email: account.email, role: account.role, name: account.full_name } };
+}
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -354,40 +473,295 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    // An expired access token is a 401 so the dashboard knows to refresh it
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+    
+    try {
+      const result = await resolveSession(payload);
+      
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+      
+      req.user = result.user;
+      next();
+    } catch (error) {
+      console.log('❌ Authentication error:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
   });
 };
 
+// Swap a refresh token for a new access token and a new refresh token
+app.post('/api/token/refresh', async (req, res) => {
+  const refreshToken = req.body.refresh_token;
+  
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ success: false, error: 'Refresh token is required' });
+  }
+  
+  const tokenHash = hashToken(refreshToken);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const sessionResult = await client.query(
+      `SELECT s.*, u.email, u.full_name, u.role, u.status
+       FROM sessions s JOIN users u ON s.user_id = u.id
+       WHERE s.refresh_token_hash = $1
+       FOR UPDATE OF s`,
+      [tokenHash]
+    );
+    
+    if (sessionResult.rows.length === 0) {
+      // An already-rotated token being replayed means it leaked: end that session
+      const reused = await client.query(
+        `SELECT id, user_id, rotated_at < NOW() - make_interval(secs => $2) as outside_grace 
+         FROM sessions WHERE previous_refresh_hash = $1 AND revoked_at IS NULL`,
+        [tokenHash, REFRESH_REUSE_GRACE_SECONDS]
+      );
+      if (reused.rows.length > 0 && reused.rows[0].outside_grace) {
+        await revokeSessions(client, reused.rows[0].user_id, { sessionId: reused.rows[0].id });
+        console.log('⚠️ Refresh token reuse detected, session revoked:', reused.rows[0].id);
+      }
+      await client.query('COMMIT');
+      return res.status(401).json({ success: false, error: 'Session has ended. Please log in again.' });
+    }
+    
+    const session = sessionResult.rows[0];
+    
+    if (session.revoked_at || session.expires_at <= new Date() || session.status !== 'active') {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ success: false, error: 'Session has ended. Please log in again.' });
+    }
+    
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+    await client.query(
+      `UPDATE sessions SET 
+         previous_refresh_hash = refresh_token_hash,
+         refresh_token_hash = $1,
+         rotated_at = NOW(),
+         last_seen_at = NOW(),
+         expires_at = NOW() + make_interval(days => $2),
+         ip = $3,
+         user_agent = $4
+       WHERE id = $5`,
+      [hashToken(newRefreshToken), REFRESH_TOKEN_DAYS, req.ip, (req.headers['user-agent'] || '').slice(0, 500), session.id]
+    );
+    
+    await client.query('COMMIT');
+    
+    res.json({ 
+      success: true, 
+      token: signToken({ ...session, id: session.user_id }, session.id), 
+      refresh_token: newRefreshToken 
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('❌ Token refresh error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// End the current session
+app.post('/api/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions(pool, req.user.id, { sessionId: req.user.sid });
+    await recordAudit(pool, req, { action: 'auth.logout', entityType: 'session', entityId: req.user.sid });
+    console.log('👋 Logout:', req.user.email);
+    res.json({ success: true });
+  } catch (error) {
+    console.log('❌ Logout error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PERMISSIONS
+
+// What each role is allowed to do. Routes declare the permission they need
+// with requirePermission(); a role missing from this map can do nothing.
+const ROLE_PERMISSIONS = {
+  cashier: [
+    'dashboard.view',
+    'products.view',
+    'sales.view',
+    'sales.create'
+  ],
+  manager: [
+    'dashboard.view',
+    'products.view',
+    'products.manage',
+    'stock.adjust',
+    'purchases.manage',
+    'sales.view',
+    'sales.create',
+    'sales.override_price',
+    'sales.discount_approve',
+    'sales.backdate',
+    'sales.refund',
+    'reports.view'
+  ]
+};
+ROLE_PERMISSIONS.admin = [...ROLE_PERMISSIONS.manager, 'users.view', 'users.manage', 'settings.manage', 'audit.view'];
+ROLE_PERMISSIONS.superadmin = [...ROLE_PERMISSIONS.admin];
+
+const hasPermission = (user, permission) => 
+  (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Route guard; use after authenticateToken
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ 
+      success: false, 
+      error: `Access denied. Missing permission: ${permission}` 
+    });
+  }
+  next();
+};
+
+// Permissions of the logged-in user, used by the dashboard to build its menus
+app.get('/api/me/permissions', authenticateToken, (req, res) => {
+  res.json({ 
+    success: true, 
+    role: req.user.role, 
+    permissions: ROLE_PERMISSIONS[req.user.role] || [] 
+  });
+});
+
+// LIST QUERIES
+// Paged list endpoints take ?page= and ?limit=, ?sort= (one of the endpoint's
+// sortable fields) with ?order=asc|desc, and their own filters.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+const paginationInfo = ({ page, limit }, total) => ({ page, limit, total, pages: Math.ceil(total / limit) });
+
+// `columns` maps the sort names a client may use to SQL expressions. A sort
+// without an order is ascending; no sort at all uses the endpoint's default.
+function parseSort(query, columns, fallback) {
+  const sort = query.sort || fallback.sort;
+  if (!columns[sort]) {
+    return { error: `sort must be one of: ${Object.keys(columns).join(', ')}` };
+  }
+  
+  const order = String(query.order || (query.sort ? 'asc' : fallback.order)).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  
+  return { orderBy: `${columns[sort]} ${order.toUpperCase()} NULLS LAST` };
+}
+
+// WHERE clause from optional filters: add('name ILIKE ?', value) numbers the
+// placeholders, and every ? in one call refers to the same value
+function sqlConditions() {
+  const conditions = [];
+  const params = [];
+  return {
+    params,
+    add(sql, value) {
+      if (value !== undefined) params.push(value);
+      conditions.push(sql.replaceAll('?', `$${params.length}`));
+    },
+    where: () => conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+  };
+}
+
+// Text for a LIKE pattern, matched literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
 // 🔧 FIX 3: USER MANAGEMENT ENDPOINTS
 
-// Get all users
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Roles in order of seniority. Admins can only manage and assign roles up to their own.
+const ROLE_RANK = { cashier: 1, manager: 2, admin: 3, superadmin: 4 };
+const USER_COLUMNS = 'id, full_name, email, role, status, created_at, last_login';
+
+// Users, newest first by default. Filters: role, status, search (name or email).
+// Sort: created_at, full_name, email, last_login
+app.get('/api/users', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
+    const { role, status } = req.query;
+    const search = (req.query.search || '').trim();
+    const pagination = parsePagination(req.query);
+    const sort = parseSort(req.query, 
+      { created_at: 'created_at', full_name: 'full_name', email: 'email', last_login: 'last_login' }, 
+      { sort: 'created_at', order: 'desc' });
+    
+    if (sort.error) {
+      return res.status(400).json({ success: false, error: sort.error });
+    }
+    
+    const filters = sqlConditions();
+    if (role) filters.add('role = ?', role);
+    if (status) filters.add('status = ?', status);
+    if (search) filters.add('(full_name ILIKE ? OR email ILIKE ?)', `%${escapeLike(search)}%`);
+    
+    const where = filters.where();
+    const { params } = filters;
+    
+    const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM users ${where}`, params);
     const result = await pool.query(`
-      SELECT id, full_name, email, role, status, created_at, last_login 
+      SELECT ${USER_COLUMNS} 
       FROM users 
-      ORDER BY created_at DESC
-    `);
-    res.json({ success: true, users: result.rows });
+      ${where}
+      ORDER BY ${sort.orderBy}, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+    
+    res.json({ 
+      success: true, 
+      users: result.rows, 
+      pagination: paginationInfo(pagination, countResult.rows[0].total) 
+    });
   } catch (error) {
     console.log('❌ Get users error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 🔧 NEW: GET PENDING USERS (For Admin)
-app.get('/api/users/pending', authenticateToken, async (req, res) => {
+// Users with an open dashboard connection, one entry per user
+app.get('/api/users/online', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!['superadmin', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    const online = new Map();
+    
+    for (const user of activeUsers.values()) {
+      const entry = online.get(user.id);
+      if (entry) {
+        entry.connections++;
+        if (user.connected_at < entry.connected_at) {
+          entry.connected_at = user.connected_at;
+        }
+      } else {
+        online.set(user.id, { ...user, connections: 1 });
+      }
     }
+    
+    res.json({ success: true, users: [...online.values()] });
+  } catch (error) {
+    console.log('❌ Get online users error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+// 🔧 NEW: GET PENDING USERS (For Admin)
+app.get('/api/users/pending', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
     const result = await pool.query(
       'SELECT id, full_name, email, role, status, created_at FROM users WHERE status = $1 ORDER BY created_at DESC',
       ['pending']
@@ -401,26 +775,31 @@ app.get('/api/users/pending', authenticateToken, async (req, res) => {
 });
 
 // 🔧 NEW: APPROVE USER (For Admin)
-app.put('/api/users/:id/approve', authenticateToken, async (req, res) => {
+app.put('/api/users/:id/approve', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (!['superadmin', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Access denied. Admin only.' });
-    }
-
     const { id } = req.params;
     
     const result = await pool.query(
-      'UPDATE users SET status = $1 WHERE id = $2 RETURNING id, full_name, email, role, status',
+      `UPDATE users SET status = $1 WHERE id = $2 AND status = 'pending' RETURNING ${USER_COLUMNS}`,
       ['active', id]
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+      return res.status(404).json({ success: false, error: 'Pending user not found' });
     }
     
+    await recordAudit(pool, req, {
+      action: 'user.approved',
+      entityType: 'user',
+      entityId: id,
+      before: { status: 'pending' },
+      after: result.rows[0]
+    });
+    
     console.log('✅ User approved:', result.rows[0].email);
     
+    emitUserUpdated('approved', result.rows[0], req.user.name);
+    
     res.json({ 
       success: true, 
       message: 'User approved successfully',
@@ -433,172 +812,4667 @@ app.put('/api/users/:id/approve', authenticateToken, async (req, res) => {
   }
 });
 
-// PRODUCT ENDPOINTS
-
-// Get all products
-app.get('/api/products', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM products ORDER BY name');
-    res.json({ success: true, products: result.rows });
-  } catch (error) {
-    console.log('❌ Get products error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+// Lock the target user and check the acting admin may change them.
+// `changes` describes what's about to happen: { role } and/or { status }.
+// Returns { user } or { status, error } for the response.
+async function checkUserChange(client, actor, targetId, changes) {
+  const result = await client.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`,
+    [targetId]
+  );
+  const target = result.rows[0];
+  
+  if (!target) {
+    return { status: 404, error: 'User not found' };
   }
-});
+  
+  const actorRank = ROLE_RANK[actor.role] || 0;
+  
+  if (target.id !== actor.id && (ROLE_RANK[target.role] || 0) > actorRank) {
+    return { status: 403, error: 'You cannot manage a user with a higher role than your own' };
+  }
+  
+  if (changes.role !== undefined) {
+    if (!Object.hasOwn(ROLE_RANK, changes.role)) {
+      return { status: 400, error: `Role must be one of ${Object.keys(ROLE_RANK).join(', ')}` };
+    }
+    if (ROLE_RANK[changes.role] > actorRank) {
+      return { status: 403, error: 'You cannot assign a role higher than your own' };
+    }
+  }
+  
+  if (target.id === actor.id && (changes.role !== undefined || changes.status !== undefined)) {
+    return { status: 400, error: 'You cannot change your own role or status' };
+  }
+  
+  // Never leave the system without an active superadmin
+  const losesSuperadmin = target.role === 'superadmin' && target.status === 'active' &&
+    ((changes.role !== undefined && changes.role !== 'superadmin') || (changes.status !== undefined && changes.status !== 'active'));
+  
+  if (losesSuperadmin) {
+    const others = await client.query(
+      `SELECT id FROM users WHERE role = 'superadmin' AND status = 'active' AND id <> $1 FOR UPDATE`,
+      [target.id]
+    );
+    if (others.rows.length === 0) {
+      return { status: 409, error: 'Cannot demote or block the last superadmin' };
+    }
+  }
+  
+  return { user: target };
+}
 
-// 🔧 FIX 4: ADD PRODUCT ENDPOINT - IMPROVED
-app.post('/api/products', authenticateToken, async (req, res) => {
+// Run a guarded change to one user inside a transaction and broadcast it
+async function applyUserChange(req, res, { type, changes, expectStatus, update }) {
+  const client = await pool.connect();
+  
   try {
-    const { name, category, purchase_price, selling_price, stock } = req.body;
+    await client.query('BEGIN');
     
-    // Validate required fields
-    if (!name || !category || !purchase_price || !selling_price) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Name, category, purchase price, and selling price are required' 
-      });
+    const check = await checkUserChange(client, req.user, parseInt(req.params.id), changes);
+    if (check.error) {
+      await client.query('ROLLBACK');
+      return res.status(check.status).json({ success: false, error: check.error });
     }
     
-    const result = await pool.query(
-      `INSERT INTO products (name, category, purchase_price, selling_price, stock) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [name, category, purchase_price, selling_price, stock || 0]
-    );
+    if (expectStatus && check.user.status !== expectStatus) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: `User is ${check.user.status}` });
+    }
     
-    console.log('✅ Product added:', name);
+    const user = await update(client, check.user);
     
-    // Notify all clients about new product
-    io.emit('product_updated', {
-      type: 'created',
-      product: result.rows[0],
-      user: req.user.name
+    await recordAudit(client, req, {
+      action: `user.${type}`,
+      entityType: 'user',
+      entityId: user.id,
+      before: check.user,
+      after: user
     });
     
-    res.json({ success: true, product: result.rows[0] });
+    await client.query('COMMIT');
+    
+    console.log(`✅ User ${type}:`, user.email, 'by', req.user.email);
+    
+    emitUserUpdated(type, user, req.user.name);
+    
+    res.json({ success: true, user });
   } catch (error) {
-    console.log('❌ Add product error:', error.message);
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: 'Email is already in use' });
+    }
+    console.log(`❌ User ${type} error:`, error.message);
     res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
   }
+}
+
+// Block a user; their existing tokens stop working on the next request
+app.put('/api/users/:id/block', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  await applyUserChange(req, res, {
+    type: 'blocked',
+    changes: { status: 'blocked' },
+    expectStatus: 'active',
+    update: async (client, user) => {
+      const result = await client.query(
+        `UPDATE users SET status = 'blocked' WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+        [user.id]
+      );
+      await revokeSessions(client, user.id);
+      return result.rows[0];
+    }
+  });
+});
+
+// Unblock a user
+app.put('/api/users/:id/unblock', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  await applyUserChange(req, res, {
+    type: 'unblocked',
+    changes: { status: 'active' },
+    expectStatus: 'blocked',
+    update: async (client, user) => {
+      const result = await client.query(
+        `UPDATE users SET status = 'active' WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+        [user.id]
+      );
+      return result.rows[0];
+    }
+  });
 });
 
-// Update product stock
-app.put('/api/products/:id/stock', authenticateToken, async (req, res) => {
+// Reject a pending registration; the account is removed so the email can register again
+app.put('/api/users/:id/reject', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { stock } = req.body;
-    
     const result = await pool.query(
-      'UPDATE products SET stock = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [stock, id]
+      `DELETE FROM users WHERE id = $1 AND status = 'pending' RETURNING ${USER_COLUMNS}`,
+      [req.params.id]
     );
     
     if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Pending user not found' });
+    }
+    
+    await recordAudit(pool, req, {
+      action: 'user.rejected',
+      entityType: 'user',
+      entityId: result.rows[0].id,
+      before: result.rows[0]
+    });
+    
+    console.log('✅ User rejected:', result.rows[0].email, 'by', req.user.email);
+    
+    emitUserUpdated('rejected', result.rows[0], req.user.name);
+    
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Reject user error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a user's role
+app.put('/api/users/:id/role', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const { role } = req.body;
+  
+  await applyUserChange(req, res, {
+    type: 'role_changed',
+    changes: { role },
+    update: async (client, user) => {
+      const result = await client.query(
+        `UPDATE users SET role = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+        [role, user.id]
+      );
+      return result.rows[0];
+    }
+  });
+});
+
+// Edit a user's name and email
+app.put('/api/users/:id', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const full_name = req.body.full_name !== undefined ? String(req.body.full_name).trim() : undefined;
+  const email = req.body.email !== undefined ? String(req.body.email).trim().toLowerCase() : undefined;
+  
+  if (full_name === '' || email === '') {
+    return res.status(400).json({ success: false, error: 'Name and email cannot be empty' });
+  }
+  
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ success: false, error: 'Invalid email address' });
+  }
+  
+  await applyUserChange(req, res, {
+    type: 'edited',
+    changes: {},
+    update: async (client, user) => {
+      const result = await client.query(
+        `UPDATE users SET full_name = COALESCE($1, full_name), email = COALESCE($2, email) 
+         WHERE id = $3 RETURNING ${USER_COLUMNS}`,
+        [full_name || null, email || null, user.id]
+      );
+      return result.rows[0];
+    }
+  });
+});
+
+// AUDIT LOG
+// Every write records who did it, what changed and from where. Inside a
+// transaction pass the transaction client, so the entry commits or rolls back
+// with the change it describes.
+
+// Never copied into the log
+const AUDIT_HIDDEN_FIELDS = ['password', 'refresh_token_hash', 'previous_refresh_hash', 'token_hash', 'idempotency_hash'];
+
+function auditSnapshot(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(auditSnapshot);
+  if (typeof value !== 'object' || value instanceof Date) return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !AUDIT_HIDDEN_FIELDS.includes(key))
+      .map(([key, field]) => [key, auditSnapshot(field)])
+  );
+}
+
+// `actor` defaults to the signed-in user; pass it for logins and registrations
+async function recordAudit(db, req, { action, entityType, entityId, before, after, actor }) {
+  const who = actor || req.user || {};
+  
+  await db.query(
+    `INSERT INTO audit_log (user_id, actor_email, action, entity_type, entity_id, before, after, ip) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      who.id || null,
+      who.email || null,
+      action,
+      entityType,
+      entityId !== undefined && entityId !== null ? String(entityId) : null,
+      before === undefined ? null : JSON.stringify(auditSnapshot(before)),
+      after === undefined ? null : JSON.stringify(auditSnapshot(after)),
+      req.ip || null
+    ]
+  );
+}
+
+// Audit entries, newest first. Filters: user_id, action (a trailing * matches a
+// prefix, e.g. product.*), entity_type, entity_id, from, to (dates)
+app.get('/api/audit', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { user_id, action, entity_type, entity_id, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+    
+    for (const date of [from, to]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+      }
+    }
+    
+    const filters = sqlConditions();
+    if (user_id) filters.add('a.user_id = ?', parseInt(user_id));
+    if (action) {
+      action.endsWith('*') 
+        ? filters.add('a.action LIKE ?', escapeLike(action.slice(0, -1)) + '%') 
+        : filters.add('a.action = ?', action);
+    }
+    if (entity_type) filters.add('a.entity_type = ?', entity_type);
+    if (entity_id) filters.add('a.entity_id = ?', String(entity_id));
+    if (from) filters.add('a.created_at >= ?::date', from);
+    if (to) filters.add("a.created_at < ?::date + INTERVAL '1 day'", to);
+    
+    const where = filters.where();
+    const { params } = filters;
+    
+    const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM audit_log a ${where}`, params);
+    const result = await pool.query(`
+      SELECT a.*, u.full_name as user_name
+      FROM audit_log a
+      LEFT JOIN users u ON a.user_id = u.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+    
+    res.json({ 
+      success: true, 
+      entries: result.rows, 
+      pagination: paginationInfo(pagination, countResult.rows[0].total) 
+    });
+  } catch (error) {
+    console.log('❌ Get audit log error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PROFILE ENDPOINTS
+
+const PROFILE_COLUMNS = 'id, full_name, email, role, status, bio, avatar_url, created_at, last_login';
+const MIN_PASSWORD_LENGTH = 6;
+
+// Accepted profile picture types, recognised by their leading bytes.
+// WebP shares the RIFF container with WAV and AVI, so it also needs the
+// "WEBP" form type at bytes 8-11.
+const AVATAR_TYPES = {
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46], formType: [0x57, 0x45, 0x42, 0x50] }
+};
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+// Get own profile
+app.get('/api/me', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Get profile error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update own name, email and bio, and optionally the password.
+// Changing the email or password requires current_password.
+app.put('/api/me', authenticateToken, async (req, res) => {
+  try {
+    const { bio, current_password, new_password } = req.body;
+    const full_name = req.body.full_name !== undefined ? String(req.body.full_name).trim() : undefined;
+    const email = req.body.email !== undefined ? String(req.body.email).trim().toLowerCase() : undefined;
+    
+    if (full_name === '' || email === '') {
+      return res.status(400).json({ success: false, error: 'Name and email cannot be empty' });
+    }
+    
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, error: 'Invalid email address' });
+    }
+    
+    if (new_password && typeof new_password !== 'string') {
+      return res.status(400).json({ success: false, error: 'New password must be text' });
+    }
+    
+    if (new_password !== undefined && new_password !== '' && String(new_password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+    
+    const changingEmail = email && email !== user.email.toLowerCase();
+    const changingPassword = Boolean(new_password);
+    
+    if (changingEmail || changingPassword) {
+      if (typeof current_password !== 'string' || !current_password || !(await bcrypt.compare(current_password, user.password))) {
+        return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+      }
+    }
+    
+    const hashedPassword = changingPassword ? await bcrypt.hash(new_password, 10) : null;
+    
+    const result = await pool.query(
+      `UPDATE users SET 
+         full_name = COALESCE($1, full_name),
+         email = COALESCE($2, email),
+         bio = COALESCE($3, bio),
+         password = COALESCE($4, password),
+         password_changed_at = CASE WHEN $4 IS NULL THEN password_changed_at ELSE NOW() END
+       WHERE id = $5 RETURNING ${PROFILE_COLUMNS}`,
+      [full_name || null, changingEmail ? email : null, bio !== undefined ? String(bio) : null, hashedPassword, req.user.id]
+    );
+    
+    // A new password signs out every other device
+    if (changingPassword) {
+      await revokeSessions(pool, req.user.id, { exceptId: req.user.sid });
+    }
+    
+    await recordAudit(pool, req, {
+      action: changingPassword ? 'user.password_changed' : 'user.profile_updated',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { full_name: user.full_name, email: user.email, bio: user.bio },
+      after: result.rows[0]
+    });
+    
+    console.log('✅ Profile updated:', result.rows[0].email, changingPassword ? '(password changed)' : '');
+    
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: 'Email is already in use' });
+    }
+    console.log('❌ Update profile error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a profile picture. Send the image file itself as the request body.
+app.post('/api/me/avatar', authenticateToken, express.raw({ type: Object.keys(AVATAR_TYPES), limit: MAX_AVATAR_BYTES }), async (req, res) => {
+  try {
+    // Parameters such as "; charset=binary" don't change the image type
+    const mediaType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const type = Object.hasOwn(AVATAR_TYPES, mediaType) ? AVATAR_TYPES[mediaType] : null;
+    
+    if (!type || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload a PNG, JPEG or WebP image' });
+    }
+    
+    const matches = (bytes, offset) => bytes.every((byte, index) => req.body[offset + index] === byte);
+    if (!matches(type.signature, 0) || (type.formType && !matches(type.formType, 8))) {
+      return res.status(400).json({ success: false, error: 'File content does not match its image type' });
+    }
+    
+    const filename = `${req.user.id}-${Date.now()}.${type.extension}`;
+    await fs.promises.writeFile(path.join(AVATAR_DIR, filename), req.body);
+    
+    const previous = await pool.query('SELECT avatar_url FROM users WHERE id = $1', [req.user.id]);
+    const result = await pool.query(
+      `UPDATE users SET avatar_url = $1 WHERE id = $2 RETURNING ${PROFILE_COLUMNS}`,
+      [`/uploads/avatars/${filename}`, req.user.id]
+    );
+    
+    const oldUrl = previous.rows[0] && previous.rows[0].avatar_url;
+    
+    await recordAudit(pool, req, {
+      action: 'user.avatar_updated',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { avatar_url: oldUrl || null },
+      after: { avatar_url: result.rows[0].avatar_url }
+    });
+    
+    // Remove the old picture; a missing file is not an error
+    if (oldUrl && oldUrl.startsWith('/uploads/avatars/')) {
+      fs.promises.unlink(path.join(AVATAR_DIR, path.basename(oldUrl))).catch(() => {});
+    }
+    
+    console.log('✅ Avatar uploaded:', req.user.email);
+    
+    res.json({ success: true, user: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Avatar upload error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// SESSION MANAGEMENT
+
+const SESSION_COLUMNS = 'id, user_agent, ip, created_at, last_seen_at, expires_at';
+
+async function listSessions(userId) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS} FROM sessions 
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() 
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Own active sessions; the one making the request is flagged as current
+app.get('/api/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({ 
+      success: true, 
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })) 
+    });
+  } catch (error) {
+    console.log('❌ Get sessions error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign out everywhere except here
+app.delete('/api/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.user.id, { exceptId: req.user.sid });
+    await recordAudit(pool, req, { action: 'session.revoked', entityType: 'user', entityId: req.user.id, after: { sessions: revoked } });
+    res.json({ success: true, revoked: revoked.length });
+  } catch (error) {
+    console.log('❌ Revoke sessions error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign out one of your own sessions
+app.delete('/api/me/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.user.id, { sessionId: parseInt(req.params.sessionId) });
+    
+    if (revoked.length === 0) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
+    await recordAudit(pool, req, { action: 'session.revoked', entityType: 'session', entityId: revoked[0] });
+    
+    res.json({ success: true, revoked: revoked.length });
+  } catch (error) {
+    console.log('❌ Revoke session error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A user's active sessions, for admins
+app.get('/api/users/:id/sessions', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    // Same rank rule as signing them out: no looking at the devices of a higher role
+    const check = await checkUserChange(pool, req.user, parseInt(req.params.id), {});
+    if (check.error) {
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+    
+    const sessions = await listSessions(check.user.id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.log('❌ Get user sessions error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sign a user out of every device
+app.delete('/api/users/:id/sessions', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const check = await checkUserChange(client, req.user, parseInt(req.params.id), {});
+    if (check.error) {
+      await client.query('ROLLBACK');
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+    
+    const revoked = await revokeSessions(client, check.user.id);
+    
+    await recordAudit(client, req, { action: 'session.revoked', entityType: 'user', entityId: check.user.id, after: { sessions: revoked } });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Sessions revoked for', check.user.email, 'by', req.user.email, '-', revoked.length);
+    
+    res.json({ success: true, revoked: revoked.length });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('❌ Revoke user sessions error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// SETTINGS
+// Shop-wide values live in the settings table and are cached here so pricing
+// and reports don't query them on every request. The VAT and discount env
+// variables only provide the defaults until an admin saves a value.
+
+const SETTING_DEFAULTS = {
+  business_name: 'DISC SALES',
+  business_address: '',
+  business_phone: '',
+  currency: 'TZS',
+  // Reorder level for products with no level of their own or for their category
+  low_stock_threshold: 10,
+  // Per category: { level, quantity }
+  reorder_defaults: {},
+  receipt_footer: 'Asante kwa kununua!',
+  tax_rate: parseFloat(process.env.VAT_RATE) || 0,
+  // 'inclusive': prices already contain VAT; 'exclusive': VAT is added on top
+  tax_mode: process.env.VAT_MODE === 'exclusive' ? 'exclusive' : 'inclusive',
+  // Manual discounts above this share of the bill need a manager's approval
+  discount_approval_percent: parseFloat(process.env.DISCOUNT_APPROVAL_PERCENT) || 10
+};
+
+// Each validator returns { value } with the cleaned value, or { error }
+const textSetting = (max, required = false) => (value) => {
+  const cleaned = String(value ?? '').trim();
+  if (required && !cleaned) return { error: 'is required' };
+  if (cleaned.length > max) return { error: `must be at most ${max} characters` };
+  return { value: cleaned };
+};
+const numberSetting = (min, max, integer = false) => (value) => {
+  const parsed = Number(value);
+  if (value === '' || value === null || isNaN(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+    return { error: `must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}` };
+  }
+  return { value: parsed };
+};
+
+const SETTING_VALIDATORS = {
+  business_name: textSetting(100, true),
+  business_address: textSetting(255),
+  business_phone: textSetting(30),
+  currency: (value) => /^[A-Z]{3}$/.test(String(value || '').toUpperCase()) 
+    ? { value: String(value).toUpperCase() } 
+    : { error: 'must be a 3-letter currency code' },
+  low_stock_threshold: numberSetting(0, 100000, true),
+  reorder_defaults: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'must map categories to { level, quantity }' };
+    }
+    const cleaned = {};
+    for (const [category, entry] of Object.entries(value)) {
+      const level = Number(entry && entry.level);
+      const hasQuantity = entry && entry.quantity !== undefined && entry.quantity !== null && entry.quantity !== '';
+      const quantity = hasQuantity ? Number(entry.quantity) : null;
+      if (!Number.isInteger(level) || level < 0 || (hasQuantity && (!Number.isInteger(quantity) || quantity <= 0))) {
+        return { error: `for ${category} needs a whole-number level and a positive quantity` };
+      }
+      cleaned[category] = { level, quantity };
+    }
+    return { value: cleaned };
+  },
+  receipt_footer: textSetting(200),
+  tax_rate: numberSetting(0, 100),
+  tax_mode: (value) => ['inclusive', 'exclusive'].includes(value) ? { value } : { error: 'must be inclusive or exclusive' },
+  discount_approval_percent: numberSetting(0, 100)
+};
+
+let settingsCache = { ...SETTING_DEFAULTS };
+
+function getSettings() {
+  return { ...settingsCache };
+}
+
+async function refreshSettings() {
+  try {
+    const result = await pool.query('SELECT key, value FROM settings');
+    const saved = Object.fromEntries(
+      result.rows.filter(row => row.key in SETTING_DEFAULTS).map(row => [row.key, row.value])
+    );
+    settingsCache = { ...SETTING_DEFAULTS, ...saved };
+  } catch (error) {
+    console.log('❌ Load settings error:', error.message);
+  }
+  return getSettings();
+}
+
+const PREFERENCE_VALUES = {
+  language: ['sw', 'en'],
+  theme: ['light', 'dark', 'auto']
+};
+const PREFERENCE_DEFAULTS = { language: 'sw', theme: 'light' };
+
+// Shop settings with who changed them last
+app.get('/api/settings', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.key, s.updated_at, u.full_name as updated_by
+      FROM settings s LEFT JOIN users u ON s.updated_by = u.id
+    `);
+    
+    res.json({ 
+      success: true, 
+      settings: getSettings(), 
+      defaults: SETTING_DEFAULTS,
+      changes: Object.fromEntries(result.rows.map(row => [row.key, { updated_at: row.updated_at, updated_by: row.updated_by }]))
+    });
+  } catch (error) {
+    console.log('❌ Get settings error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update some or all settings; keys that aren't sent keep their value
+app.put('/api/settings', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  let client;
+  
+  try {
+    const changes = {};
+    
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (!Object.hasOwn(SETTING_VALIDATORS, key)) {
+        return res.status(400).json({ success: false, error: `Unknown setting: ${key}` });
+      }
+      const checked = SETTING_VALIDATORS[key](value);
+      if (checked.error) {
+        return res.status(400).json({ success: false, error: `${key} ${checked.error}` });
+      }
+      changes[key] = checked.value;
+    }
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, error: 'No settings to update' });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const before = getSettings();
+    await recordAudit(client, req, {
+      action: 'settings.updated',
+      entityType: 'settings',
+      before: Object.fromEntries(Object.keys(changes).map(key => [key, before[key]])),
+      after: changes
+    });
+    
+    for (const [key, value] of Object.entries(changes)) {
+      await client.query(
+        `INSERT INTO settings (key, value, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [key, JSON.stringify(value), req.user.id]
+      );
+    }
+    
+    await client.query('COMMIT');
+    
+    const settings = await refreshSettings();
+    
+    console.log('✅ Settings updated:', Object.keys(changes).join(', '), 'by', req.user.email);
+    
+    io.emit('settings_updated', { settings, changed: Object.keys(changes), user: req.user.name });
+    
+    res.json({ success: true, settings });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Update settings error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Put every setting back to its default
+app.delete('/api/settings', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  let client;
+  
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    await recordAudit(client, req, { action: 'settings.reset', entityType: 'settings', before: getSettings(), after: SETTING_DEFAULTS });
+    await client.query('DELETE FROM settings');
+    
+    await client.query('COMMIT');
+    
+    const settings = await refreshSettings();
+    
+    console.log('✅ Settings reset to defaults by', req.user.email);
+    
+    io.emit('settings_updated', { settings, changed: Object.keys(SETTING_DEFAULTS), user: req.user.name });
+    
+    res.json({ success: true, settings });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Reset settings error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Own language and theme; they follow the user to every device
+app.get('/api/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT preferences FROM users WHERE id = $1', [req.user.id]);
+    res.json({ success: true, preferences: { ...PREFERENCE_DEFAULTS, ...result.rows[0].preferences } });
+  } catch (error) {
+    console.log('❌ Get preferences error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const changes = {};
+    
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (!Object.hasOwn(PREFERENCE_VALUES, key)) {
+        return res.status(400).json({ success: false, error: `Unknown preference: ${key}` });
+      }
+      if (!PREFERENCE_VALUES[key].includes(value)) {
+        return res.status(400).json({ success: false, error: `${key} must be one of: ${PREFERENCE_VALUES[key].join(', ')}` });
+      }
+      changes[key] = value;
+    }
+    
+    const result = await pool.query(
+      'UPDATE users SET preferences = preferences || $1::jsonb WHERE id = $2 RETURNING preferences',
+      [JSON.stringify(changes), req.user.id]
+    );
+    const preferences = { ...PREFERENCE_DEFAULTS, ...result.rows[0].preferences };
+    
+    // Other tabs and devices of the same user switch too
+    io.to(userRoom(req.user.id)).emit('preferences_updated', { preferences });
+    
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.log('❌ Update preferences error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// MAIL DELIVERY
+
+// MAIL_TRANSPORT=smtp sends through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+// and needs APP_URL, so emailed links never depend on the request's Host header.
+// MAIL_TRANSPORT=file writes each message to MAIL_DIR, for offline setups.
+// Anything else (the default) prints messages to the server console.
+const MAIL_FROM = process.env.MAIL_FROM || 'Disc Sales System <no-reply@localhost>';
+
+const MAIL_TRANSPORTS = {
+  smtp: () => {
+    if (!process.env.APP_URL) {
+      throw new Error('APP_URL must be set when MAIL_TRANSPORT=smtp');
+    }
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return (message) => transporter.sendMail({ from: MAIL_FROM, ...message });
+  },
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+    fs.mkdirSync(dir, { recursive: true });
+    return (message) => fs.promises.writeFile(
+      path.join(dir, `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.txt`),
+      `From: ${MAIL_FROM}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+  },
+  console: () => async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+const sendMail = (MAIL_TRANSPORTS[process.env.MAIL_TRANSPORT] || MAIL_TRANSPORTS.console)();
+
+// PASSWORD RESET
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const ADMIN_RESET_TOKEN_MINUTES = 24 * 60;
+
+// Stricter limit on unauthenticated reset requests
+const resetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, error: 'Too many reset requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Links must point at the configured site; the Host header can't be trusted for emails.
+// The fallback only applies to console and file mail, where nothing reaches a real inbox.
+function resetLink(req, token) {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/login.html?reset_token=${token}`;
+}
+
+// Create a single-use reset token, replacing any the user still has outstanding.
+// Only the hash is stored; the plain token goes out in the link.
+async function createResetToken(client, userId, createdBy, minutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  await client.query(
+    'UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  const result = await client.query(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at, created_by) 
+     VALUES ($1, $2, NOW() + make_interval(mins => $3), $4) RETURNING expires_at`,
+    [userId, hashToken(token), minutes, createdBy]
+  );
+  
+  return { token, expires_at: result.rows[0].expires_at };
+}
+
+// Email a reset link to the active account with this address, if there is one
+async function sendResetEmail(req, email) {
+  const userResult = await pool.query(
+    "SELECT id, full_name, email FROM users WHERE LOWER(email) = $1 AND status = 'active'",
+    [email]
+  );
+  
+  if (userResult.rows.length === 0) return;
+  
+  const user = userResult.rows[0];
+  const { token } = await createResetToken(pool, user.id, null, RESET_TOKEN_MINUTES);
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Badilisha nenosiri / Reset your password',
+    text: `Habari ${user.full_name},\n\n` +
+      `Fungua link hii kubadilisha nenosiri lako (inafanya kazi kwa dakika ${RESET_TOKEN_MINUTES}):\n` +
+      `${resetLink(req, token)}\n\n` +
+      'Kama hukuomba kubadilisha nenosiri, puuza ujumbe huu.'
+  });
+  
+  console.log('✅ Password reset requested:', user.email);
+}
+
+// Request a reset link by email. Always answers the same way so it can't be used to probe accounts.
+app.post('/api/password/forgot', resetLimiter, async (req, res) => {
+  const message = 'If that email belongs to an active account, a reset link has been sent.';
+  
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Email is required' });
+    }
+    
+    // Answer before the lookup and the mail so the response time doesn't reveal whether the account exists
+    res.json({ success: true, message });
+    
+    sendResetEmail(req, email).catch(error => {
+      console.log('❌ Reset mail error:', email, error.message);
+    });
+  } catch (error) {
+    console.log('❌ Forgot password error:', error.message);
+    res.status(500).json({ success: false, error: 'Could not send reset link. Please try again later.' });
+  }
+});
+
+// Set a new password with a reset token. Signs the user out everywhere.
+app.post('/api/password/reset', resetLimiter, async (req, res) => {
+  const { token, password } = req.body;
+  
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, error: 'Reset token is required' });
+  }
+  
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const resetResult = await client.query(
+      `SELECT * FROM password_resets 
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() 
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    
+    if (resetResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Reset link is invalid or has expired' });
+    }
+    
+    const reset = resetResult.rows[0];
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    const userResult = await client.query(
+      'UPDATE users SET password = $1, password_changed_at = NOW() WHERE id = $2 RETURNING email',
+      [hashedPassword, reset.user_id]
+    );
+    await client.query(
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [reset.user_id]
+    );
+    await revokeSessions(client, reset.user_id);
+    
+    await recordAudit(client, req, {
+      action: 'auth.password_reset',
+      entityType: 'user',
+      entityId: reset.user_id,
+      actor: { id: reset.user_id, email: userResult.rows[0].email }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Password reset completed:', userResult.rows[0].email);
+    
+    res.json({ success: true, message: 'Password has been reset. Please log in.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('❌ Reset password error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Admin-issued one-time reset link, handed to the user directly instead of emailed
+app.post('/api/users/:id/reset-link', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const check = await checkUserChange(client, req.user, parseInt(req.params.id), {});
+    if (check.error) {
+      await client.query('ROLLBACK');
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+    
+    const { token, expires_at } = await createResetToken(client, check.user.id, req.user.id, ADMIN_RESET_TOKEN_MINUTES);
+    
+    await recordAudit(client, req, { action: 'user.reset_link_issued', entityType: 'user', entityId: check.user.id, after: { expires_at } });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Reset link issued for', check.user.email, 'by', req.user.email);
+    
+    res.json({ success: true, link: resetLink(req, token), expires_at });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('❌ Reset link error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PRODUCT ENDPOINTS
+
+// Products by name. Filters: category, min_stock, max_stock, search (name, SKU
+// or barcode), include_archived. Sort: name, category, stock, selling_price,
+// purchase_price, created_at. Paged only when ?page= or ?limit= is given: the
+// till loads the whole catalogue so it can keep selling offline.
+app.get('/api/products', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const { category, min_stock, max_stock } = req.query;
+    const search = (req.query.search || '').trim();
+    const paged = req.query.page !== undefined || req.query.limit !== undefined;
+    const pagination = parsePagination(req.query);
+    const sort = parseSort(req.query, {
+      name: 'name', category: 'category', stock: 'stock', 
+      selling_price: 'selling_price', purchase_price: 'purchase_price', created_at: 'created_at'
+    }, { sort: 'name', order: 'asc' });
+    
+    if (sort.error) {
+      return res.status(400).json({ success: false, error: sort.error });
+    }
+    
+    for (const value of [min_stock, max_stock]) {
+      if (value !== undefined && value !== '' && !Number.isInteger(Number(value))) {
+        return res.status(400).json({ success: false, error: 'min_stock and max_stock must be whole numbers' });
+      }
+    }
+    
+    const filters = sqlConditions();
+    
+    // Archived products are hidden unless explicitly requested
+    if (req.query.include_archived !== 'true') filters.add('archived IS NOT TRUE');
+    if (category) filters.add('category = ?', category);
+    if (min_stock !== undefined && min_stock !== '') filters.add('stock >= ?', parseInt(min_stock));
+    if (max_stock !== undefined && max_stock !== '') filters.add('stock <= ?', parseInt(max_stock));
+    if (search) filters.add('(name ILIKE ? OR sku ILIKE ? OR barcode ILIKE ?)', `%${escapeLike(search)}%`);
+    
+    const where = filters.where();
+    const { params } = filters;
+    
+    if (!paged) {
+      const result = await pool.query(`SELECT * FROM products ${where} ORDER BY ${sort.orderBy}, id`, params);
+      return res.json({ success: true, products: result.rows.map(withReorderPoint) });
+    }
+    
+    const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM products ${where}`, params);
+    const result = await pool.query(`
+      SELECT * FROM products 
+      ${where}
+      ORDER BY ${sort.orderBy}, id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+    
+    res.json({ 
+      success: true, 
+      products: result.rows.map(withReorderPoint), 
+      pagination: paginationInfo(pagination, countResult.rows[0].total) 
+    });
+  } catch (error) {
+    console.log('❌ Get products error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🔧 FIX 4: ADD PRODUCT ENDPOINT - IMPROVED
+app.post('/api/products', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const { name, category, purchase_price, selling_price, stock } = req.body;
+    
+    // Validate required fields
+    if (!name || !category || !purchase_price || !selling_price) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Name, category, purchase price, and selling price are required' 
+      });
+    }
+    
+    const openingStock = parseInt(stock) || 0;
+    if (openingStock < 0) {
+      return res.status(400).json({ success: false, error: 'Stock cannot be negative' });
+    }
+    
+    const codes = await parseProductCodes(req.body, null);
+    if (codes.error) {
+      return res.status(400).json({ success: false, error: codes.error });
+    }
+    
+    const reorder = parseReorderFields(req.body);
+    if (reorder.error) {
+      return res.status(400).json({ success: false, error: reorder.error });
+    }
+    
+    const client = await pool.connect();
+    let product;
+    
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `INSERT INTO products (name, category, purchase_price, selling_price, stock, sku, barcode, reorder_level, reorder_quantity) 
+         VALUES ($1, $2, $3, $4, 0, $5, $6, $7, $8) RETURNING *`,
+        [
+          name, category, purchase_price, selling_price, codes.sku || null, codes.barcode || null,
+          reorder.fields.reorder_level ?? null, reorder.fields.reorder_quantity ?? null
+        ]
+      );
+      product = await recordStockMovement(client, {
+        productId: result.rows[0].id,
+        type: 'opening',
+        quantity: openingStock,
+        note: 'Opening balance',
+        userId: req.user.id
+      });
+      
+      await recordAudit(client, req, { action: 'product.created', entityType: 'product', entityId: product.id, after: product });
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    console.log('✅ Product added:', name);
+    
+    product = withReorderPoint(product);
+    
+    // Notify all clients about new product
+    io.emit('product_updated', {
+      type: 'created',
+      product,
+      user: req.user.name
+    });
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    if (isProductCodeConflict(error)) {
+      return res.status(400).json({ success: false, error: 'SKU or barcode is already used by another product' });
+    }
+    console.log('❌ Add product error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// STOCK LEDGER
+
+const STOCK_MOVEMENT_TYPES = ['opening', 'sale', 'goods_received', 'adjustment', 'return'];
+const ADJUSTMENT_REASONS = ['damage', 'theft', 'count_correction', 'other'];
+
+// Change a product's stock and write the matching ledger entry.
+// Pass a transaction client so the stock change and the entry commit together.
+// Alerts opened because stock fell to the reorder level are pushed onto `alerts`,
+// so the caller can announce them once the transaction has committed.
+async function recordStockMovement(client, { productId, type, quantity, reason, note, referenceType, referenceId, userId, alerts }) {
+  const result = await client.query(
+    'UPDATE products SET stock = stock + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [quantity, productId]
+  );
+  const product = result.rows[0];
+  
+  if (quantity !== 0) {
+    await client.query(
+      `INSERT INTO stock_movements (product_id, type, quantity, balance_after, reason, note, reference_type, reference_id, user_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [productId, type, quantity, product.stock, reason || null, note || null, referenceType || null, referenceId || null, userId || null]
+    );
+  }
+  
+  const alert = await updateStockAlert(client, product, quantity);
+  if (alert && alerts) {
+    alerts.push(alert);
+  }
+  
+  return product;
+}
+
+// REORDERING AND STOCK ALERTS
+// A product's reorder level is its own, else its category default from the
+// settings, else the shop-wide low_stock_threshold. Stock at or below the
+// level counts as low.
+
+function reorderSettingsFor(product) {
+  const settings = getSettings();
+  const categoryDefault = settings.reorder_defaults[product.category] || {};
+  return {
+    level: product.reorder_level ?? categoryDefault.level ?? settings.low_stock_threshold,
+    quantity: product.reorder_quantity ?? categoryDefault.quantity ?? null
+  };
+}
+
+const isLowStock = (product) => product.stock <= reorderSettingsFor(product).level;
+
+// Adds the level that applies, so clients don't repeat the fallback rules
+const withReorderPoint = (product) => ({ ...product, reorder_point: reorderSettingsFor(product).level });
+
+// Opens an alert when stock drops to the reorder level and resolves it once
+// stock is back above. Returns the newly opened alert, if any.
+async function updateStockAlert(client, product, quantity) {
+  const level = reorderSettingsFor(product).level;
+  
+  if (product.stock > level) {
+    if (quantity > 0) {
+      await client.query(
+        'UPDATE stock_alerts SET resolved_at = NOW() WHERE product_id = $1 AND resolved_at IS NULL',
+        [product.id]
+      );
+    }
+    return null;
+  }
+  
+  if (quantity >= 0 || product.stock - quantity <= level) {
+    return null;
+  }
+  
+  const result = await client.query(
+    `INSERT INTO stock_alerts (product_id, stock, reorder_level) VALUES ($1, $2, $3)
+     ON CONFLICT (product_id) WHERE resolved_at IS NULL DO NOTHING
+     RETURNING *`,
+    [product.id, product.stock, level]
+  );
+  return result.rows[0] ? { ...result.rows[0], product_name: product.name } : null;
+}
+
+// Announce alerts after the stock change that opened them has committed
+function emitLowStock(alerts) {
+  alerts.forEach(alert => {
+    console.log('⚠️ Low stock:', alert.product_name, alert.stock, '<=', alert.reorder_level);
+    emitToPermission('products.view', 'low_stock', { alert });
+  });
+}
+
+// Check reorder_level / reorder_quantity in a product body; null clears them back to the defaults
+function parseReorderFields(body) {
+  const fields = {};
+  
+  for (const field of ['reorder_level', 'reorder_quantity']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[field] = null;
+      continue;
+    }
+    
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0 || (field === 'reorder_quantity' && parsed === 0)) {
+      return { error: `${field} must be a ${field === 'reorder_quantity' ? 'positive' : 'non-negative'} whole number` };
+    }
+    fields[field] = parsed;
+  }
+  
+  return { fields };
+}
+
+const REORDER_SALES_DAYS = 30;
+const REORDER_COVER_DAYS = 14;
+
+// Products at or below their reorder level, with a suggested order quantity:
+// enough to get back to the level plus `cover_days` of sales at the rate of
+// the last `days`, less what is already on order, and at least the reorder quantity.
+app.get('/api/inventory/reorder', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || REORDER_SALES_DAYS;
+    const coverDays = parseInt(req.query.cover_days) || REORDER_COVER_DAYS;
+    
+    if (days < 1 || days > 365 || coverDays < 1 || coverDays > 365) {
+      return res.status(400).json({ success: false, error: 'days and cover_days must be between 1 and 365' });
+    }
+    
+    const result = await pool.query(`
+      SELECT p.id, p.name, p.category, p.sku, p.stock, p.purchase_price, p.reorder_level, p.reorder_quantity,
+        COALESCE(sold.quantity, 0)::int as sold_quantity,
+        COALESCE(ordered.quantity, 0)::int as on_order
+      FROM products p
+      LEFT JOIN (
+        SELECT si.product_id, SUM(si.quantity - si.returned_quantity) as quantity
+        FROM sale_items si JOIN sales s ON si.sale_id = s.id
+        WHERE s.created_at >= NOW() - make_interval(days => $1)
+        GROUP BY si.product_id
+      ) sold ON sold.product_id = p.id
+      LEFT JOIN (
+        SELECT poi.product_id, SUM(poi.quantity - poi.received_quantity) as quantity
+        FROM purchase_order_items poi JOIN purchase_orders po ON poi.purchase_order_id = po.id
+        WHERE po.status = ANY($2::text[])
+        GROUP BY poi.product_id
+      ) ordered ON ordered.product_id = p.id
+      WHERE p.archived IS NOT TRUE
+      ORDER BY p.name
+    `, [days, OUTSTANDING_PO_STATUSES]);
+    
+    const items = result.rows
+      .filter(isLowStock)
+      .map(product => {
+        const { level, quantity } = reorderSettingsFor(product);
+        const dailySales = product.sold_quantity / days;
+        const target = level + Math.ceil(dailySales * coverDays);
+        const needed = Math.max(0, target - product.stock - product.on_order);
+        
+        return {
+          ...product,
+          purchase_price: parseFloat(product.purchase_price),
+          reorder_point: level,
+          daily_sales: Math.round(dailySales * 100) / 100,
+          days_left: dailySales > 0 ? Math.floor(product.stock / dailySales) : null,
+          suggested_quantity: needed > 0 ? Math.max(needed, quantity || 0) : 0
+        };
+      })
+      .sort((a, b) => (a.days_left ?? Infinity) - (b.days_left ?? Infinity));
+    
+    res.json({ success: true, days, cover_days: coverDays, items });
+  } catch (error) {
+    console.log('❌ Reorder list error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Open low-stock alerts this user hasn't acknowledged yet
+app.get('/api/inventory/alerts', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.*, p.name as product_name, p.stock as current_stock
+      FROM stock_alerts a
+      JOIN products p ON a.product_id = p.id
+      WHERE a.resolved_at IS NULL AND p.archived IS NOT TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM stock_alert_acknowledgements ack 
+          WHERE ack.alert_id = a.id AND ack.user_id = $1
+        )
+      ORDER BY a.created_at DESC
+    `, [req.user.id]);
+    res.json({ success: true, alerts: result.rows });
+  } catch (error) {
+    console.log('❌ Get stock alerts error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/inventory/alerts/:id/acknowledge', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const alert = await pool.query('SELECT id FROM stock_alerts WHERE id = $1', [req.params.id]);
+    
+    if (alert.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    
+    await pool.query(
+      `INSERT INTO stock_alert_acknowledgements (alert_id, user_id) VALUES ($1, $2)
+       ON CONFLICT (alert_id, user_id) DO NOTHING`,
+      [req.params.id, req.user.id]
+    );
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.log('❌ Acknowledge stock alert error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Apply a goods-received or adjustment movement from the API
+async function applyManualMovement(req, res, productId, movement) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const productResult = await client.query(
+      'SELECT * FROM products WHERE id = $1 AND archived IS NOT TRUE FOR UPDATE',
+      [productId]
+    );
+    
+    if (productResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    const quantity = typeof movement.quantity === 'function'
+      ? movement.quantity(productResult.rows[0])
+      : movement.quantity;
+    
+    if (productResult.rows[0].stock + quantity < 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        success: false, 
+        error: `Stock cannot go below zero (current stock ${productResult.rows[0].stock})` 
+      });
+    }
+    
+    const alerts = [];
+    const product = await recordStockMovement(client, {
+      productId,
+      type: movement.type,
+      quantity,
+      reason: movement.reason,
+      note: movement.note,
+      userId: req.user.id,
+      alerts
+    });
+    
+    await recordAudit(client, req, {
+      action: `stock.${movement.type}`,
+      entityType: 'product',
+      entityId: productId,
+      before: { stock: productResult.rows[0].stock },
+      after: { stock: product.stock, quantity, reason: movement.reason || null, note: movement.note || null }
+    });
+    
+    await client.query('COMMIT');
+    
+    emitLowStock(alerts);
+    
+    console.log('✅ Stock movement:', movement.type, quantity, 'for', product.name, 'by', req.user.email);
+    
+    // Notify all clients about stock update
+    io.emit('product_updated', {
+      type: 'stock_updated',
+      product,
+      user: req.user.name
+    });
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.log('❌ Stock movement error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+}
+
+// Set stock to a counted value; recorded as an adjustment for the difference
+app.put('/api/products/:id/stock', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  const { stock, reason, note } = req.body;
+  
+  if (!Number.isInteger(stock) || stock < 0) {
+    return res.status(400).json({ success: false, error: 'Stock must be a non-negative integer' });
+  }
+  
+  const adjustmentReason = reason || 'count_correction';
+  if (!ADJUSTMENT_REASONS.includes(adjustmentReason)) {
+    return res.status(400).json({ success: false, error: `Reason must be one of ${ADJUSTMENT_REASONS.join(', ')}` });
+  }
+  
+  await applyManualMovement(req, res, req.params.id, {
+    type: 'adjustment',
+    quantity: (product) => stock - product.stock,
+    reason: adjustmentReason,
+    note
+  });
+});
+
+// Record goods received or a manual adjustment
+app.post('/api/products/:id/movements', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  const { type, quantity, reason, note } = req.body;
+  
+  if (!['goods_received', 'adjustment'].includes(type)) {
+    return res.status(400).json({ success: false, error: 'Type must be goods_received or adjustment' });
+  }
+  
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    return res.status(400).json({ success: false, error: 'Quantity must be a non-zero integer' });
+  }
+  
+  if (type === 'goods_received' && quantity < 0) {
+    return res.status(400).json({ success: false, error: 'Goods received must be a positive quantity' });
+  }
+  
+  if (type === 'adjustment' && !ADJUSTMENT_REASONS.includes(reason)) {
+    return res.status(400).json({ success: false, error: `Reason must be one of ${ADJUSTMENT_REASONS.join(', ')}` });
+  }
+  
+  await applyManualMovement(req, res, req.params.id, {
+    type,
+    quantity,
+    reason: type === 'adjustment' ? reason : null,
+    note
+  });
+});
+
+// Movement history for one product, newest first
+app.get('/api/products/:id/movements', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+    
+    const result = await pool.query(`
+      SELECT m.*, u.full_name as user_name
+      FROM stock_movements m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.product_id = $1
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $2
+    `, [id, limit]);
+    
+    res.json({ success: true, movements: result.rows });
+  } catch (error) {
+    console.log('❌ Get stock movements error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Products whose stock doesn't match the sum of their ledger entries
+app.get('/api/inventory/reconcile', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.id, p.name, p.stock, COALESCE(SUM(m.quantity), 0)::int as ledger_stock
+      FROM products p
+      LEFT JOIN stock_movements m ON m.product_id = p.id
+      GROUP BY p.id
+      HAVING p.stock <> COALESCE(SUM(m.quantity), 0)
+      ORDER BY p.name
+    `);
+    
+    res.json({ success: true, mismatches: result.rows });
+  } catch (error) {
+    console.log('❌ Stock reconcile error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reset products.stock to the ledger balance for every mismatched product
+app.post('/api/inventory/reconcile', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE products p SET stock = ledger.total, updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT m.product_id, SUM(m.quantity)::int as total, current.stock as previous_stock
+        FROM stock_movements m JOIN products current ON m.product_id = current.id
+        GROUP BY m.product_id, current.stock
+      ) ledger
+      WHERE ledger.product_id = p.id AND p.stock <> ledger.total
+      RETURNING p.id, p.name, p.stock, ledger.previous_stock
+    `);
+    
+    if (result.rows.length > 0) {
+      await recordAudit(pool, req, {
+        action: 'stock.reconciled',
+        entityType: 'product',
+        before: result.rows.map(row => ({ id: row.id, stock: row.previous_stock })),
+        after: result.rows.map(row => ({ id: row.id, stock: row.stock }))
+      });
+    }
+    
+    console.log('✅ Stock reconciled with ledger:', result.rows.length, 'products');
+    
+    if (result.rows.length > 0) {
+      io.emit('product_updated', {
+        type: 'reconciled',
+        products: result.rows,
+        user: req.user.name
+      });
+    }
+    
+    res.json({ success: true, reconciled: result.rows });
+  } catch (error) {
+    console.log('❌ Stock reconcile error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PRODUCT IMPORT
+
+const IMPORT_COLUMNS = ['name', 'category', 'purchase_price', 'selling_price', 'stock'];
+const MAX_IMPORT_ROWS = 2000;
+// What the products columns hold: DECIMAL(10,2) prices and INTEGER stock
+const MAX_IMPORT_PRICE = 99999999.99;
+const MAX_IMPORT_STOCK = 2147483647;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Validate parsed CSV rows and work out whether each one creates or updates a product
+async function buildImportPlan(text) {
+  const rows = parseCsv(text.replace(/^\ufeff/, ''));
+  
+  if (rows.length < 2) {
+    return { error: 'CSV must have a header row and at least one product' };
+  }
+  
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const missing = IMPORT_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(', ')}` };
+  }
+  
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `A single import is limited to ${MAX_IMPORT_ROWS} rows` };
+  }
+  
+  // Only active products are matched for updating, but archived ones keep their
+  // codes, so SKUs are checked against every product
+  const existing = await pool.query('SELECT id, name, sku, barcode, archived FROM products');
+  const active = existing.rows.filter(p => !p.archived);
+  const bySku = new Map(active.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+  const byName = new Map(active.map(p => [p.name.trim().toLowerCase(), p]));
+  
+  const skuOwners = new Map(existing.rows.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+  const barcodeOwners = new Map(existing.rows.filter(p => p.barcode).map(p => [p.barcode, p]));
+  const codeOwner = (code, productId) => 
+    [barcodeOwners.get(code), skuOwners.get(code.toLowerCase())].find(p => p && p.id !== productId) || null;
+  
+  const seenSkus = new Set();
+  const seenNames = new Set();
+  
+  const plan = rows.slice(1).map((values, index) => {
+    const raw = {};
+    header.forEach((column, i) => {
+      raw[column] = (values[i] || '').trim();
+    });
+    
+    const errors = [];
+    const data = {
+      name: raw.name,
+      category: raw.category,
+      purchase_price: Number(raw.purchase_price),
+      selling_price: Number(raw.selling_price),
+      stock: Number(raw.stock || 0),
+      sku: raw.sku || null
+    };
+    
+    if (!data.name) errors.push('name is required');
+    if (data.name && data.name.length > 100) errors.push('name is longer than 100 characters');
+    if (!data.category) errors.push('category is required');
+    if (data.category && data.category.length > 50) errors.push('category is longer than 50 characters');
+    if (raw.purchase_price === '' || isNaN(data.purchase_price) || data.purchase_price < 0) {
+      errors.push('purchase_price must be a non-negative number');
+    } else if (data.purchase_price > MAX_IMPORT_PRICE) {
+      errors.push(`purchase_price cannot be more than ${MAX_IMPORT_PRICE}`);
+    }
+    if (raw.selling_price === '' || isNaN(data.selling_price) || data.selling_price < 0) {
+      errors.push('selling_price must be a non-negative number');
+    } else if (data.selling_price > MAX_IMPORT_PRICE) {
+      errors.push(`selling_price cannot be more than ${MAX_IMPORT_PRICE}`);
+    }
+    if (!Number.isInteger(data.stock) || data.stock < 0) {
+      errors.push('stock must be a non-negative whole number');
+    } else if (data.stock > MAX_IMPORT_STOCK) {
+      errors.push(`stock cannot be more than ${MAX_IMPORT_STOCK}`);
+    }
+    
+    // Duplicates inside the file would make the upsert order-dependent
+    const nameKey = (data.name || '').toLowerCase();
+    const skuKey = data.sku ? data.sku.toLowerCase() : null;
+    if (skuKey) {
+      if (seenSkus.has(skuKey)) errors.push('sku appears more than once in the file');
+      seenSkus.add(skuKey);
+    } else if (nameKey) {
+      if (seenNames.has(nameKey)) errors.push('name appears more than once in the file');
+      seenNames.add(nameKey);
+    }
+    
+    // Match on SKU first, then on name for products that don't have a SKU yet
+    let match = skuKey ? bySku.get(skuKey) : null;
+    if (!match) {
+      const named = byName.get(nameKey);
+      if (named && (!skuKey || !named.sku)) {
+        match = named;
+      }
+    }
+    
+    return {
+      line: index + 2,
+      data,
+      action: match ? 'update' : 'create',
+      product_id: match ? match.id : null,
+      errors
+    };
+  });
+  
+  // SKUs follow the same rules as the product form
+  for (const row of plan) {
+    if (!row.data.sku) continue;
+    const codes = await parseProductCodes({ sku: row.data.sku }, row.product_id, codeOwner);
+    if (codes.error) {
+      row.errors.push(codes.error);
+    }
+  }
+  
+  return { plan };
+}
+
+// Bulk import products from CSV. ?dry_run=true validates without saving.
+// ?stock_mode=add (default) adds CSV stock to existing products, =set replaces it.
+app.post('/api/products/import', authenticateToken, requirePermission('products.manage'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ success: false, error: 'Send the CSV file as a text/csv request body' });
+  }
+  
+  const dryRun = req.query.dry_run === 'true';
+  const stockMode = req.query.stock_mode || 'add';
+  if (!['add', 'set'].includes(stockMode)) {
+    return res.status(400).json({ success: false, error: 'stock_mode must be add or set' });
+  }
+  
+  let client;
+  
+  try {
+    const { plan, error } = await buildImportPlan(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const summary = {
+      total: plan.length,
+      create: plan.filter(row => row.action === 'create' && row.errors.length === 0).length,
+      update: plan.filter(row => row.action === 'update' && row.errors.length === 0).length,
+      invalid: plan.filter(row => row.errors.length > 0).length
+    };
+    
+    if (dryRun || summary.invalid > 0) {
+      return res.status(dryRun ? 200 : 400).json({ 
+        success: dryRun, 
+        dry_run: dryRun,
+        error: dryRun ? undefined : 'Import has invalid rows, nothing was saved',
+        summary, 
+        rows: plan 
+      });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    for (const row of plan) {
+      const { data } = row;
+      
+      if (row.action === 'update') {
+        const updated = await client.query(
+          `UPDATE products SET 
+             name = $1, category = $2, purchase_price = $3, selling_price = $4,
+             sku = COALESCE($5, sku),
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $6 RETURNING stock`,
+          [data.name, data.category, data.purchase_price, data.selling_price, data.sku, row.product_id]
+        );
+        
+        // Stock changes go through the ledger: received goods, or a count correction in set mode
+        const currentStock = updated.rows[0].stock;
+        await recordStockMovement(client, {
+          productId: row.product_id,
+          type: stockMode === 'set' ? 'adjustment' : 'goods_received',
+          quantity: stockMode === 'set' ? data.stock - currentStock : data.stock,
+          reason: stockMode === 'set' ? 'count_correction' : null,
+          note: `CSV import line ${row.line}`,
+          userId: req.user.id
+        });
+      } else {
+        const created = await client.query(
+          `INSERT INTO products (name, category, purchase_price, selling_price, stock, sku) 
+           VALUES ($1, $2, $3, $4, 0, $5) RETURNING id`,
+          [data.name, data.category, data.purchase_price, data.selling_price, data.sku]
+        );
+        await recordStockMovement(client, {
+          productId: created.rows[0].id,
+          type: 'opening',
+          quantity: data.stock,
+          note: `CSV import line ${row.line}`,
+          userId: req.user.id
+        });
+      }
+    }
+    
+    await recordAudit(client, req, {
+      action: 'product.imported',
+      entityType: 'product',
+      after: { stock_mode: stockMode, ...summary, rows: plan.map(row => ({ line: row.line, action: row.action, product_id: row.product_id, ...row.data })) }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Products imported:', summary.create, 'created,', summary.update, 'updated');
+    
+    // One event for the whole import instead of one per row
+    io.emit('product_updated', {
+      type: 'bulk_imported',
+      created: summary.create,
+      updated: summary.update,
+      user: req.user.name
+    });
+    
+    res.json({ success: true, dry_run: false, summary, rows: plan });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Import products error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// BARCODES AND SKUS
+// A product can have a SKU (our own code) and a barcode (the manufacturer's,
+// or one we generate). Either can be scanned at the till, so a code may only
+// belong to one product across both fields.
+
+const isProductCodeConflict = (error) => 
+  error.code === '23505' && ['products_sku_key', 'products_barcode_key'].includes(error.constraint);
+
+// The product other than productId that already has a code as its SKU or barcode
+async function findCodeOwner(code, productId) {
+  const owner = await pool.query(
+    `SELECT name FROM products 
+     WHERE (barcode = $1 OR LOWER(sku) = LOWER($1)) AND ($2::int IS NULL OR id <> $2::int)`,
+    [code, productId]
+  );
+  return owner.rows[0] || null;
+}
+
+// Read sku and barcode from a request body. A field left out stays undefined,
+// an empty value becomes null (clears it). Returns { sku, barcode } or { error }.
+// The CSV import passes its own findOwner to check a whole file against one
+// snapshot of the products.
+async function parseProductCodes(body, productId, findOwner = findCodeOwner) {
+  const codes = {};
+  
+  for (const field of ['sku', 'barcode']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    
+    if (value === null || String(value).trim() === '') {
+      codes[field] = null;
+      continue;
+    }
+    
+    const code = String(value).trim();
+    if (code.length > 64 || !/^[\x21-\x7E]+$/.test(code)) {
+      return { error: `${field} must be at most 64 characters with no spaces` };
+    }
+    
+    const owner = await findOwner(code, productId);
+    if (owner) {
+      return { error: `${field} ${code} is already used by ${owner.name}` };
+    }
+    
+    codes[field] = code;
+  }
+  
+  return codes;
+}
+
+// Products without a manufacturer code get an EAN-13 in the 200 range, which
+// GS1 reserves for use inside a shop, built from the product id
+const INTERNAL_BARCODE_PREFIX = '200';
+
+function ean13CheckDigit(digits) {
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+const isEan13 = (code) => /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === code[12];
+
+function internalBarcode(productId) {
+  const digits = INTERNAL_BARCODE_PREFIX + String(productId).padStart(9, '0');
+  return digits + ean13CheckDigit(digits);
+}
+
+// Bar pattern for an EAN-13 code: 95 modules, '1' is a bar
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+function ean13Pattern(code) {
+  const digits = code.split('').map(Number);
+  const rCode = (digit) => EAN_L_CODES[digit].split('').map(bit => bit === '1' ? '0' : '1').join('');
+  const gCode = (digit) => rCode(digit).split('').reverse().join('');
+  
+  let pattern = '101';
+  digits.slice(1, 7).forEach((digit, index) => {
+    pattern += EAN_PARITY[digits[0]][index] === 'L' ? EAN_L_CODES[digit] : gCode(digit);
+  });
+  pattern += '01010';
+  digits.slice(7).forEach(digit => {
+    pattern += rCode(digit);
+  });
+  return pattern + '101';
+}
+
+function drawEan13(doc, code, x, y, moduleWidth, height) {
+  const pattern = ean13Pattern(code);
+  const isGuard = (index) => index < 3 || (index >= 45 && index < 50) || index >= 92;
+  
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '1') {
+      doc.rect(x + i * moduleWidth, y, moduleWidth, height + (isGuard(i) ? 5 : 0)).fill('black');
+    }
+  }
+  
+  doc.font('Helvetica').fontSize(8).fillColor('black')
+    .text(code, x, y + height + 6, { width: pattern.length * moduleWidth, align: 'center', characterSpacing: 2 });
+}
+
+// Find an active product by scanned code, barcode first
+app.get('/api/products/lookup', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const code = String(req.query.code || '').trim();
+    
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'code is required' });
+    }
+    
+    const result = await pool.query(
+      `SELECT * FROM products 
+       WHERE archived IS NOT TRUE AND (barcode = $1 OR LOWER(sku) = LOWER($1))
+       ORDER BY (barcode IS NOT DISTINCT FROM $1) DESC
+       LIMIT 1`,
+      [code]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'No product with that code' });
+    }
+    
+    res.json({ success: true, product: withReorderPoint(result.rows[0]) });
+  } catch (error) {
+    console.log('❌ Product lookup error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Give products that have no barcode one of ours.
+// Body: { product_ids } to limit it to some products, otherwise all of them.
+app.post('/api/products/barcodes', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const productIds = Array.isArray(req.body.product_ids) ? req.body.product_ids.map(Number) : null;
+    
+    if (productIds && productIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ success: false, error: 'product_ids must be positive integers' });
+    }
+    
+    const result = await pool.query(
+      `SELECT id FROM products 
+       WHERE barcode IS NULL AND archived IS NOT TRUE AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+       ORDER BY id`,
+      [productIds]
+    );
+    
+    const assigned = [];
+    const skipped = [];
+    
+    for (const { id } of result.rows) {
+      try {
+        const updated = await pool.query(
+          `UPDATE products SET barcode = $1, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = $2 AND barcode IS NULL RETURNING *`,
+          [internalBarcode(id), id]
+        );
+        if (updated.rows.length > 0) {
+          assigned.push(updated.rows[0]);
+        }
+      } catch (error) {
+        // Someone already entered that code as a manufacturer barcode or SKU
+        if (!isProductCodeConflict(error)) throw error;
+        skipped.push({ product_id: id, error: `Barcode ${internalBarcode(id)} is already in use` });
+      }
+    }
+    
+    if (assigned.length > 0) {
+      await recordAudit(pool, req, {
+        action: 'product.barcodes_assigned',
+        entityType: 'product',
+        after: assigned.map(product => ({ id: product.id, barcode: product.barcode }))
+      });
+    }
+    
+    console.log('✅ Barcodes assigned:', assigned.length, 'by', req.user.email);
+    
+    if (assigned.length > 0) {
+      io.emit('product_updated', {
+        type: 'barcodes_assigned',
+        products: assigned,
+        user: req.user.name
+      });
+    }
+    
+    res.json({ success: true, assigned, skipped });
+  } catch (error) {
+    console.log('❌ Assign barcodes error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Printable sheet of barcode labels (3 x 8 on A4) for products with an EAN-13 barcode.
+// Query: ids=1,2,3 and copies (labels per product).
+app.get('/api/products/labels', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean).map(Number);
+    const copies = Math.min(Math.max(parseInt(req.query.copies) || 1, 1), 100);
+    
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ success: false, error: 'ids must be a comma-separated list of product ids' });
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM products WHERE id = ANY($1::int[]) AND archived IS NOT TRUE ORDER BY name',
+      [ids]
+    );
+    const printable = result.rows.filter(product => product.barcode && isEan13(product.barcode));
+    
+    if (printable.length === 0) {
+      return res.status(400).json({ success: false, error: 'None of these products has an EAN-13 barcode to print' });
+    }
+    
+    const labels = printable.flatMap(product => Array(copies).fill(product));
+    if (labels.length > 2400) {
+      return res.status(400).json({ success: false, error: 'Too many labels in one sheet; print fewer copies or products' });
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="barcode_labels.pdf"');
+    
+    const doc = new PDFDocument({ size: 'A4', margin: 20 });
+    doc.pipe(res);
+    
+    const columns = 3;
+    const rows = 8;
+    const labelWidth = (doc.page.width - 40) / columns;
+    const labelHeight = (doc.page.height - 40) / rows;
+    const moduleWidth = 1.5;
+    // Printed like the receipts: TZS shows as Tsh
+    const { currency } = getSettings();
+    const currencyLabel = currency === 'TZS' ? 'Tsh' : currency;
+    
+    labels.forEach((product, index) => {
+      const position = index % (columns * rows);
+      if (index > 0 && position === 0) {
+        doc.addPage();
+      }
+      
+      const x = 20 + (position % columns) * labelWidth;
+      const y = 20 + Math.floor(position / columns) * labelHeight;
+      const barcodeX = x + (labelWidth - 95 * moduleWidth) / 2;
+      
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('black')
+        .text(product.name, x + 6, y + 8, { width: labelWidth - 12, align: 'center', lineBreak: false, ellipsis: true });
+      doc.font('Helvetica').fontSize(9)
+        .text(`${currencyLabel} ${Number(product.selling_price).toLocaleString('en-US')}`, x + 6, y + 20, { width: labelWidth - 12, align: 'center' });
+      drawEan13(doc, product.barcode, barcodeX, y + 34, moduleWidth, 40);
+    });
+    
+    doc.end();
+    
+    console.log('🏷️ Barcode labels printed:', labels.length, 'by', req.user.email);
+  } catch (error) {
+    console.log('❌ Barcode labels error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get single product
+app.get('/api/products/:id', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    res.json({ success: true, product: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Get product error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update product details (name, category, prices)
+const updateProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, category, purchase_price, selling_price } = req.body;
+    
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+    }
+    
+    if (category !== undefined && !String(category).trim()) {
+      return res.status(400).json({ success: false, error: 'Category cannot be empty' });
+    }
+    
+    for (const [field, value] of [['purchase_price', purchase_price], ['selling_price', selling_price]]) {
+      if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+        return res.status(400).json({ success: false, error: `${field} must be a non-negative number` });
+      }
+    }
+    
+    const codes = await parseProductCodes(req.body, parseInt(id));
+    if (codes.error) {
+      return res.status(400).json({ success: false, error: codes.error });
+    }
+    
+    const reorder = parseReorderFields(req.body);
+    if (reorder.error) {
+      return res.status(400).json({ success: false, error: reorder.error });
+    }
+    
+    const before = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+    
+    // Fields left out of the body keep their current values; sku, barcode and the
+    // reorder fields can also be cleared
+    const result = await pool.query(
+      `UPDATE products SET 
+         name = COALESCE($1, name),
+         category = COALESCE($2, category),
+         purchase_price = COALESCE($3, purchase_price),
+         selling_price = COALESCE($4, selling_price),
+         sku = CASE WHEN $6 THEN $7 ELSE sku END,
+         barcode = CASE WHEN $8 THEN $9 ELSE barcode END,
+         reorder_level = CASE WHEN $10 THEN $11 ELSE reorder_level END,
+         reorder_quantity = CASE WHEN $12 THEN $13 ELSE reorder_quantity END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND archived IS NOT TRUE
+       RETURNING *`,
+      [
+        name !== undefined ? String(name).trim() : null,
+        category !== undefined ? String(category).trim() : null,
+        purchase_price !== undefined ? purchase_price : null,
+        selling_price !== undefined ? selling_price : null,
+        id,
+        codes.sku !== undefined,
+        codes.sku || null,
+        codes.barcode !== undefined,
+        codes.barcode || null,
+        reorder.fields.reorder_level !== undefined,
+        reorder.fields.reorder_level ?? null,
+        reorder.fields.reorder_quantity !== undefined,
+        reorder.fields.reorder_quantity ?? null
+      ]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    console.log('✅ Product updated:', result.rows[0].name);
+    
+    const product = withReorderPoint(result.rows[0]);
+    
+    await recordAudit(pool, req, { action: 'product.updated', entityType: 'product', entityId: id, before: before.rows[0], after: result.rows[0] });
+    
+    // Notify all clients about product update
+    io.emit('product_updated', {
+      type: 'updated',
+      product,
+      user: req.user.name
+    });
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    if (isProductCodeConflict(error)) {
+      return res.status(400).json({ success: false, error: 'SKU or barcode is already used by another product' });
+    }
+    console.log('❌ Update product error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+app.put('/api/products/:id', authenticateToken, requirePermission('products.manage'), updateProduct);
+app.patch('/api/products/:id', authenticateToken, requirePermission('products.manage'), updateProduct);
+
+// Delete product - archives instead when it is referenced by past sales.
+// The row stays locked until the end so a sale can't reference it in between.
+app.delete('/api/products/:id', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  let client;
+  
+  try {
+    const { id } = req.params;
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const productResult = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+    
+    if (productResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
     
-    // Notify all clients about stock update
-    io.emit('product_updated', {
-      type: 'stock_updated',
-      product: result.rows[0],
+    // Products that were sold, ordered from a supplier or promoted must stay
+    // for that history; the ledger and stock alerts go with the product
+    const usage = await client.query(`
+      SELECT EXISTS (SELECT 1 FROM sale_items WHERE product_id = $1)
+        OR EXISTS (SELECT 1 FROM purchase_order_items WHERE product_id = $1)
+        OR EXISTS (SELECT 1 FROM goods_received_items WHERE product_id = $1)
+        OR EXISTS (SELECT 1 FROM promotions WHERE product_id = $1) as referenced
+    `, [id]);
+    
+    if (usage.rows[0].referenced) {
+      const result = await client.query(
+        `UPDATE products SET archived = true, archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      
+      await recordAudit(client, req, { action: 'product.archived', entityType: 'product', entityId: id, before: productResult.rows[0], after: result.rows[0] });
+      
+      await client.query('COMMIT');
+      
+      console.log('✅ Product archived:', result.rows[0].name);
+      
+      io.emit('product_updated', {
+        type: 'archived',
+        product: result.rows[0],
+        user: req.user.name
+      });
+      
+      return res.json({ 
+        success: true, 
+        archived: true,
+        message: 'Product has sales, purchasing or promotion history and was archived',
+        product: result.rows[0] 
+      });
+    }
+    
+    await client.query('DELETE FROM products WHERE id = $1', [id]);
+    await recordAudit(client, req, { action: 'product.deleted', entityType: 'product', entityId: id, before: productResult.rows[0] });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Product deleted:', productResult.rows[0].name);
+    
+    io.emit('product_updated', {
+      type: 'deleted',
+      product: productResult.rows[0],
+      user: req.user.name
+    });
+    
+    res.json({ 
+      success: true, 
+      archived: false,
+      message: 'Product deleted',
+      product: productResult.rows[0] 
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Delete product error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// PURCHASING ENDPOINTS
+
+// POs that can still receive goods
+const OUTSTANDING_PO_STATUSES = ['open', 'partially_received'];
+
+// Weighted-average cost after receiving `quantity` units at `unitCost`.
+// Negative stock on hand is treated as zero so it can't skew the average.
+function weightedAverageCost(currentStock, currentCost, quantity, unitCost) {
+  const onHand = Math.max(currentStock, 0);
+  if (onHand + quantity <= 0) return roundMoney(unitCost);
+  return roundMoney((onHand * Number(currentCost) + quantity * unitCost) / (onHand + quantity));
+}
+
+// Get suppliers
+app.get('/api/suppliers', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const result = await pool.query(`
+      SELECT s.*,
+        (SELECT COUNT(*) FROM purchase_orders po 
+         WHERE po.supplier_id = s.id AND po.status = ANY($1::text[]))::int as outstanding_orders
+      FROM suppliers s
+      ${includeInactive ? '' : 'WHERE s.active = true'}
+      ORDER BY s.name
+    `, [OUTSTANDING_PO_STATUSES]);
+    
+    res.json({ success: true, suppliers: result.rows });
+  } catch (error) {
+    console.log('❌ Get suppliers error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add supplier
+app.post('/api/suppliers', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const { name, contact_person, phone, email, address, notes } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Supplier name is required' });
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO suppliers (name, contact_person, phone, email, address, notes) 
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [name.trim(), contact_person || null, phone || null, email || null, address || null, notes || null]
+    );
+    
+    await recordAudit(pool, req, { action: 'supplier.created', entityType: 'supplier', entityId: result.rows[0].id, after: result.rows[0] });
+    
+    console.log('✅ Supplier added:', name);
+    
+    res.json({ success: true, supplier: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Add supplier error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update supplier; set active=false to hide it from new orders
+app.put('/api/suppliers/:id', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, contact_person, phone, email, address, notes, active } = req.body;
+    
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'Supplier name cannot be empty' });
+    }
+    
+    const before = await pool.query('SELECT * FROM suppliers WHERE id = $1', [id]);
+    
+    const result = await pool.query(
+      `UPDATE suppliers SET 
+         name = COALESCE($1, name),
+         contact_person = COALESCE($2, contact_person),
+         phone = COALESCE($3, phone),
+         email = COALESCE($4, email),
+         address = COALESCE($5, address),
+         notes = COALESCE($6, notes),
+         active = COALESCE($7, active),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 RETURNING *`,
+      [name !== undefined ? String(name).trim() : null, contact_person, phone, email, address, notes, 
+       typeof active === 'boolean' ? active : null, id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Supplier not found' });
+    }
+    
+    await recordAudit(pool, req, { action: 'supplier.updated', entityType: 'supplier', entityId: id, before: before.rows[0], after: result.rows[0] });
+    
+    res.json({ success: true, supplier: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Update supplier error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get purchase orders. ?status=outstanding lists open and partially received orders.
+app.get('/api/purchase-orders', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const { status, supplier_id } = req.query;
+    const statuses = status === 'outstanding' ? OUTSTANDING_PO_STATUSES : (status ? [status] : null);
+    
+    const result = await pool.query(`
+      SELECT po.*, s.name as supplier_name, u.full_name as user_name,
+        COALESCE(SUM(poi.quantity), 0)::int as ordered_quantity,
+        COALESCE(SUM(poi.received_quantity), 0)::int as received_quantity,
+        COALESCE(SUM((poi.quantity - poi.received_quantity) * poi.unit_cost), 0) as outstanding_value
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      LEFT JOIN users u ON po.user_id = u.id
+      LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+      WHERE ($1::text[] IS NULL OR po.status = ANY($1::text[]))
+        AND ($2::int IS NULL OR po.supplier_id = $2::int)
+      GROUP BY po.id, s.name, u.full_name
+      ORDER BY po.created_at DESC
+    `, [statuses, supplier_id ? parseInt(supplier_id) : null]);
+    
+    res.json({ success: true, purchase_orders: result.rows });
+  } catch (error) {
+    console.log('❌ Get purchase orders error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get single purchase order with its lines and goods received notes
+app.get('/api/purchase-orders/:id', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const orderResult = await pool.query(`
+      SELECT po.*, s.name as supplier_name, u.full_name as user_name
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      LEFT JOIN users u ON po.user_id = u.id
+      WHERE po.id = $1
+    `, [id]);
+    
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Purchase order not found' });
+    }
+    
+    const itemsResult = await pool.query(`
+      SELECT poi.*, p.name as product_name, p.purchase_price as current_cost,
+        poi.quantity - poi.received_quantity as outstanding_quantity
+      FROM purchase_order_items poi
+      JOIN products p ON poi.product_id = p.id
+      WHERE poi.purchase_order_id = $1
+      ORDER BY poi.id
+    `, [id]);
+    
+    const receiptsResult = await pool.query(`
+      SELECT grn.*, u.full_name as user_name,
+        COALESCE(json_agg(json_build_object(
+          'product_id', gri.product_id, 'product_name', p.name, 'quantity', gri.quantity, 'unit_cost', gri.unit_cost
+        ) ORDER BY gri.id) FILTER (WHERE gri.id IS NOT NULL), '[]') as items
+      FROM goods_received_notes grn
+      LEFT JOIN users u ON grn.user_id = u.id
+      LEFT JOIN goods_received_items gri ON gri.goods_received_note_id = grn.id
+      LEFT JOIN products p ON gri.product_id = p.id
+      WHERE grn.purchase_order_id = $1
+      GROUP BY grn.id, u.full_name
+      ORDER BY grn.created_at
+    `, [id]);
+    
+    res.json({ 
+      success: true, 
+      purchase_order: orderResult.rows[0], 
+      items: itemsResult.rows, 
+      receipts: receiptsResult.rows 
+    });
+  } catch (error) {
+    console.log('❌ Get purchase order error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Raise a purchase order
+app.post('/api/purchase-orders', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  const { supplier_id, expected_date, notes, items } = req.body;
+  let client;
+  
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'Purchase order must have at least one item' });
+    }
+    
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item !== 'object' || !Number.isInteger(item.product_id) || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+        return res.status(400).json({ success: false, error: `Item ${index + 1}: product_id and a positive integer quantity are required` });
+      }
+      if (item.unit_cost !== undefined && (typeof item.unit_cost !== 'number' || item.unit_cost < 0)) {
+        return res.status(400).json({ success: false, error: `Item ${index + 1}: unit_cost must be a non-negative number` });
+      }
+    }
+    
+    if (expected_date && !/^\d{4}-\d{2}-\d{2}$/.test(expected_date)) {
+      return res.status(400).json({ success: false, error: 'expected_date must be YYYY-MM-DD' });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const supplierResult = await client.query(
+      'SELECT * FROM suppliers WHERE id = $1 AND active = true',
+      [supplier_id]
+    );
+    
+    if (supplierResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Supplier not found or inactive' });
+    }
+    
+    const productIds = [...new Set(items.map(item => item.product_id))];
+    const productsResult = await client.query(
+      'SELECT id, name, purchase_price FROM products WHERE id = ANY($1::int[]) AND archived IS NOT TRUE',
+      [productIds]
+    );
+    const productsById = new Map(productsResult.rows.map(product => [product.id, product]));
+    
+    const missing = productIds.filter(id => !productsById.has(id));
+    if (missing.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Products not found: ${missing.join(', ')}` });
+    }
+    
+    // Unit cost defaults to the product's current purchase price
+    const lines = items.map(item => ({
+      product_id: item.product_id,
+      quantity: item.quantity,
+      unit_cost: roundMoney(item.unit_cost !== undefined ? item.unit_cost : Number(productsById.get(item.product_id).purchase_price))
+    }));
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+    
+    const orderResult = await client.query(
+      `INSERT INTO purchase_orders (supplier_id, expected_date, notes, total, user_id) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [supplier_id, expected_date || null, notes || null, total, req.user.id]
+    );
+    const order = orderResult.rows[0];
+    
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity, unit_cost) 
+         VALUES ($1, $2, $3, $4)`,
+        [order.id, line.product_id, line.quantity, line.unit_cost]
+      );
+    }
+    
+    await recordAudit(client, req, { action: 'purchase_order.created', entityType: 'purchase_order', entityId: order.id, after: { ...order, lines } });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Purchase order created:', order.id, 'by', req.user.email);
+    
+    res.json({ success: true, purchase_order: order });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Create purchase order error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Cancel a purchase order that hasn't received anything yet
+app.post('/api/purchase-orders/:id/cancel', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query(
+      `UPDATE purchase_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status = 'open' RETURNING *`,
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'Only open purchase orders with nothing received can be cancelled' });
+    }
+    
+    await recordAudit(pool, req, { action: 'purchase_order.cancelled', entityType: 'purchase_order', entityId: id, before: { status: 'open' }, after: result.rows[0] });
+    
+    console.log('✅ Purchase order cancelled:', id, 'by', req.user.email);
+    
+    res.json({ success: true, purchase_order: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Cancel purchase order error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Receive goods against a purchase order (full or partial).
+// Body: { items: [{ item_id, quantity, unit_cost? }], update_cost, note }
+app.post('/api/purchase-orders/:id/receive', authenticateToken, requirePermission('purchases.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { items, update_cost, note } = req.body;
+  let client;
+  
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'Select at least one item to receive' });
+    }
+    
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item !== 'object' || !Number.isInteger(item.item_id) || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+        return res.status(400).json({ success: false, error: `Item ${index + 1}: item_id and a positive integer quantity are required` });
+      }
+      if (item.unit_cost !== undefined && (typeof item.unit_cost !== 'number' || item.unit_cost < 0)) {
+        return res.status(400).json({ success: false, error: `Item ${index + 1}: unit_cost must be a non-negative number` });
+      }
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const orderResult = await client.query(
+      'SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Purchase order not found' });
+    }
+    
+    if (!OUTSTANDING_PO_STATUSES.includes(orderResult.rows[0].status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: `Purchase order is ${orderResult.rows[0].status}` });
+    }
+    
+    const orderItemsResult = await client.query(
+      'SELECT * FROM purchase_order_items WHERE purchase_order_id = $1 ORDER BY id FOR UPDATE',
+      [id]
+    );
+    const orderItemsById = new Map(orderItemsResult.rows.map(item => [item.id, item]));
+    
+    // Lock the products in id order, the same way sales do
+    const productIds = [...new Set(orderItemsResult.rows.map(item => item.product_id))];
+    const productsResult = await client.query(
+      'SELECT * FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [productIds]
+    );
+    const productsById = new Map(productsResult.rows.map(product => [product.id, product]));
+    
+    const receiving = new Map();
+    const errors = [];
+    items.forEach((item, index) => {
+      const orderItem = orderItemsById.get(item.item_id);
+      if (!orderItem) {
+        errors.push({ index, item_id: item.item_id, error: 'Item is not on this purchase order' });
+        return;
+      }
+      const alreadyReceiving = receiving.has(orderItem.id) ? receiving.get(orderItem.id).quantity : 0;
+      const outstanding = orderItem.quantity - orderItem.received_quantity - alreadyReceiving;
+      if (item.quantity > outstanding) {
+        errors.push({ 
+          index, 
+          item_id: item.item_id, 
+          product_name: productsById.get(orderItem.product_id).name,
+          error: `Only ${outstanding} outstanding`, 
+          outstanding 
+        });
+        return;
+      }
+      receiving.set(orderItem.id, {
+        orderItem,
+        quantity: alreadyReceiving + item.quantity,
+        unit_cost: roundMoney(item.unit_cost !== undefined ? item.unit_cost : Number(orderItem.unit_cost))
+      });
+    });
+    
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: 'Cannot receive more than was ordered', errors });
+    }
+    
+    const noteResult = await client.query(
+      `INSERT INTO goods_received_notes (purchase_order_id, note, update_cost, user_id) 
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [id, note || null, update_cost === true, req.user.id]
+    );
+    const grn = noteResult.rows[0];
+    
+    const updatedProducts = [];
+    for (const line of receiving.values()) {
+      const product = productsById.get(line.orderItem.product_id);
+      
+      await client.query(
+        `INSERT INTO goods_received_items (goods_received_note_id, purchase_order_item_id, product_id, quantity, unit_cost) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        [grn.id, line.orderItem.id, product.id, line.quantity, line.unit_cost]
+      );
+      
+      await client.query(
+        'UPDATE purchase_order_items SET received_quantity = received_quantity + $1 WHERE id = $2',
+        [line.quantity, line.orderItem.id]
+      );
+      
+      if (update_cost === true) {
+        const newCost = weightedAverageCost(product.stock, product.purchase_price, line.quantity, line.unit_cost);
+        await client.query(
+          'UPDATE products SET purchase_price = $1 WHERE id = $2',
+          [newCost, product.id]
+        );
+      }
+      
+      const updated = await recordStockMovement(client, {
+        productId: product.id,
+        type: 'goods_received',
+        quantity: line.quantity,
+        note: note,
+        referenceType: 'grn',
+        referenceId: grn.id,
+        userId: req.user.id
+      });
+      // Keep the locked copy current in case the same product is on two lines
+      productsById.set(product.id, updated);
+      updatedProducts.push(updated);
+    }
+    
+    const remainingResult = await client.query(
+      'SELECT COALESCE(SUM(quantity - received_quantity), 0)::int as remaining FROM purchase_order_items WHERE purchase_order_id = $1',
+      [id]
+    );
+    const status = remainingResult.rows[0].remaining === 0 ? 'received' : 'partially_received';
+    
+    const updatedOrder = await client.query(
+      'UPDATE purchase_orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [status, id]
+    );
+    
+    await recordAudit(client, req, {
+      action: 'purchase_order.received',
+      entityType: 'purchase_order',
+      entityId: id,
+      after: { status, grn_id: grn.id, items, update_cost: Boolean(update_cost), note: note || null }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Goods received on PO', id, '- GRN', grn.id, 'by', req.user.email);
+    
+    io.emit('product_updated', {
+      type: 'goods_received',
+      products: updatedProducts,
+      purchase_order: updatedOrder.rows[0],
+      user: req.user.name
+    });
+    
+    res.json({ success: true, purchase_order: updatedOrder.rows[0], goods_received_note: grn, products: updatedProducts });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Receive goods error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// SALES ENDPOINTS
+
+// Accepted tenders; mobile money needs the transaction code as reference
+const PAYMENT_METHODS = ['cash', 'mpesa', 'tigopesa', 'card'];
+const REFERENCE_REQUIRED_METHODS = ['mpesa', 'tigopesa'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Check the shape of the payments array sent to POST /api/sales
+function validatePayments(payments) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return 'At least one payment is required';
+  }
+  
+  for (let i = 0; i < payments.length; i++) {
+    const payment = payments[i];
+    
+    if (!payment || !PAYMENT_METHODS.includes(payment.method)) {
+      return `Payment ${i + 1}: method must be one of ${PAYMENT_METHODS.join(', ')}`;
+    }
+    
+    const amount = Number(payment.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return `Payment ${i + 1}: amount must be a positive number`;
+    }
+    
+    if (REFERENCE_REQUIRED_METHODS.includes(payment.method) && !String(payment.reference || '').trim()) {
+      return `Payment ${i + 1}: a transaction reference is required for ${payment.method}`;
+    }
+  }
+  
+  return null;
+}
+
+// Apply tenders to a sale total. Only cash may exceed what is owed; the excess is change.
+function allocatePayments(payments, total) {
+  const cashTendered = roundMoney(payments
+    .filter(p => p.method === 'cash')
+    .reduce((sum, p) => sum + Number(p.amount), 0));
+  const otherTendered = roundMoney(payments
+    .filter(p => p.method !== 'cash')
+    .reduce((sum, p) => sum + Number(p.amount), 0));
+  
+  if (otherTendered > total) {
+    return { error: 'Non-cash payments cannot exceed the sale total' };
+  }
+  
+  if (roundMoney(cashTendered + otherTendered) < total) {
+    return { 
+      error: `Payments do not cover the total: ${roundMoney(cashTendered + otherTendered)} paid, ${total} due` 
+    };
+  }
+  
+  const change = roundMoney(cashTendered + otherTendered - total);
+  
+  // Take the change back out of the cash tenders so amounts add up to the total
+  let changeLeft = change;
+  const allocations = payments.map(p => {
+    const tendered = roundMoney(Number(p.amount));
+    let amount = tendered;
+    
+    if (p.method === 'cash' && changeLeft > 0) {
+      const deduction = Math.min(changeLeft, tendered);
+      amount = roundMoney(tendered - deduction);
+      changeLeft = roundMoney(changeLeft - deduction);
+    }
+    
+    return {
+      method: p.method,
+      amount,
+      tendered,
+      reference: p.reference ? String(p.reference).trim() : null
+    };
+  });
+  
+  return { change, allocations };
+}
+
+// Check the shape of the items array sent to POST /api/sales
+function validateSaleItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Items must be a non-empty array';
+  }
+  
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    
+    if (!item || !Number.isInteger(item.product_id) || item.product_id <= 0) {
+      return `Item ${i + 1}: product_id must be a positive integer`;
+    }
+    
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      return `Item ${i + 1}: quantity must be a positive integer`;
+    }
+    
+    if (item.price_override !== undefined && item.price_override !== null) {
+      const price = Number(item.price_override);
+      if (isNaN(price) || price < 0) {
+        return `Item ${i + 1}: price_override must be a non-negative number`;
+      }
+    }
+    
+    const discountError = validateDiscount(item.discount);
+    if (discountError) {
+      return `Item ${i + 1}: ${discountError}`;
+    }
+  }
+  
+  return null;
+}
+
+// PRICING
+// Totals are always worked out here from the catalogue, never taken from the
+// till. Order: promotions, then line discounts, then the cart discount, then VAT.
+// VAT rate, VAT mode and the approval threshold come from the shop settings.
+
+// A discount is { type: 'percent' | 'fixed', value }; a fixed discount is an amount off the line or cart
+function validateDiscount(discount) {
+  if (discount === undefined || discount === null) return null;
+  
+  if (!['percent', 'fixed'].includes(discount.type)) {
+    return 'discount type must be percent or fixed';
+  }
+  
+  const value = Number(discount.value);
+  if (isNaN(value) || value < 0) {
+    return 'discount value must be a non-negative number';
+  }
+  
+  if (discount.type === 'percent' && value > 100) {
+    return 'discount percent cannot be more than 100';
+  }
+  
+  return null;
+}
+
+// Amount taken off `base` by a validated discount, never more than the base
+function discountAmount(discount, base) {
+  if (!discount || base <= 0) return 0;
+  const amount = discount.type === 'percent' ? base * Number(discount.value) / 100 : Number(discount.value);
+  return roundMoney(Math.min(amount, base));
+}
+
+async function loadActivePromotions(db, at) {
+  const result = await db.query(
+    `SELECT * FROM promotions 
+     WHERE active AND starts_at <= COALESCE($1::timestamptz, NOW()) AND ends_at > COALESCE($1::timestamptz, NOW())
+     ORDER BY id`,
+    [at]
+  );
+  return result.rows;
+}
+
+// Discount per line a promotion would give, keyed by line index.
+// Buy X pay Y gives away the cheapest units across all matching lines.
+function promotionDiscounts(promotion, lines) {
+  const matching = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => !line.price_overridden && line.promotion_id === null &&
+      (promotion.product_id ? line.product_id === promotion.product_id : line.category === promotion.category));
+  const discounts = new Map();
+  
+  if (promotion.type === 'percent') {
+    matching.forEach(({ line, index }) => {
+      discounts.set(index, roundMoney(line.gross * parseFloat(promotion.percent) / 100));
+    });
+    return discounts;
+  }
+  
+  const units = matching
+    .flatMap(({ line, index }) => Array(line.quantity).fill({ index, price: line.unit_price }))
+    .sort((a, b) => a.price - b.price);
+  const freeUnits = Math.floor(units.length / promotion.buy_quantity) * (promotion.buy_quantity - promotion.pay_quantity);
+  
+  units.slice(0, freeUnits).forEach(unit => {
+    discounts.set(unit.index, roundMoney((discounts.get(unit.index) || 0) + unit.price));
+  });
+  return discounts;
+}
+
+// Work out prices, discounts, VAT and totals for a sale.
+// Returns { errors } when some items can't be sold, otherwise the priced lines and totals.
+async function priceSale(db, { items, discount, user, at, lock }) {
+  // Lock the product rows so concurrent sales can't oversell the same stock
+  const productIds = [...new Set(items.map(item => item.product_id))];
+  const productResult = await db.query(
+    `SELECT * FROM products WHERE id = ANY($1::int[]) ORDER BY id ${lock ? 'FOR UPDATE' : ''}`,
+    [productIds]
+  );
+  const productsById = new Map(productResult.rows.map(p => [p.id, p]));
+  
+  // Quantities are summed per product so split lines can't bypass the stock check
+  const requested = new Map();
+  items.forEach(item => {
+    requested.set(item.product_id, (requested.get(item.product_id) || 0) + item.quantity);
+  });
+  
+  const canOverridePrice = hasPermission(user, 'sales.override_price');
+  const errors = [];
+  const lines = [];
+  
+  items.forEach((item, index) => {
+    const product = productsById.get(item.product_id);
+    
+    if (!product || product.archived) {
+      errors.push({ index, product_id: item.product_id, error: 'Product not found' });
+      return;
+    }
+    
+    if (requested.get(item.product_id) > product.stock) {
+      errors.push({
+        index,
+        product_id: item.product_id,
+        product_name: product.name,
+        error: `Insufficient stock: ${product.stock} available, ${requested.get(item.product_id)} requested`,
+        available: product.stock
+      });
+      return;
+    }
+    
+    const hasOverride = item.price_override !== undefined && item.price_override !== null;
+    if (hasOverride && !canOverridePrice) {
+      errors.push({
+        index,
+        product_id: item.product_id,
+        product_name: product.name,
+        error: 'Price override not permitted for your role'
+      });
+      return;
+    }
+    
+    // Price comes from the catalogue unless a permitted override was given
+    const unitPrice = hasOverride ? Number(item.price_override) : parseFloat(product.selling_price);
+    lines.push({
+      product_id: product.id,
+      product_name: product.name,
+      category: product.category,
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      gross: roundMoney(unitPrice * item.quantity),
+      price_overridden: hasOverride,
+      promotion_id: null,
+      promotion_name: null,
+      promotion_discount: 0,
+      line_discount: 0,
+      cart_discount: 0
+    });
+  });
+  
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  // Best promotion first; each line gets at most one
+  const promotions = (await loadActivePromotions(db, at))
+    .map(promotion => ({ promotion, total: [...promotionDiscounts(promotion, lines).values()].reduce((a, b) => a + b, 0) }))
+    .filter(candidate => candidate.total > 0)
+    .sort((a, b) => b.total - a.total);
+  for (const { promotion } of promotions) {
+    promotionDiscounts(promotion, lines).forEach((amount, index) => {
+      lines[index].promotion_id = promotion.id;
+      lines[index].promotion_name = promotion.name;
+      lines[index].promotion_discount = amount;
+    });
+  }
+  
+  lines.forEach((line, index) => {
+    line.line_discount = discountAmount(items[index].discount, line.gross - line.promotion_discount);
+  });
+  
+  // The cart discount is shared across lines by value so refunds stay proportional
+  const afterLineDiscounts = roundMoney(lines.reduce((sum, line) => sum + line.gross - line.promotion_discount - line.line_discount, 0));
+  const cartDiscount = discountAmount(discount, afterLineDiscounts);
+  let cartLeft = cartDiscount;
+  lines.forEach((line, index) => {
+    const base = line.gross - line.promotion_discount - line.line_discount;
+    const share = index === lines.length - 1 
+      ? cartLeft 
+      : roundMoney(afterLineDiscounts > 0 ? cartDiscount * base / afterLineDiscounts : 0);
+    line.cart_discount = Math.min(share, roundMoney(base));
+    cartLeft = roundMoney(cartLeft - line.cart_discount);
+  });
+  
+  const { tax_rate: taxRate, tax_mode: taxMode, discount_approval_percent: approvalPercent } = getSettings();
+  
+  lines.forEach(line => {
+    const net = roundMoney(line.gross - line.promotion_discount - line.line_discount - line.cart_discount);
+    line.discount_amount = roundMoney(line.gross - net);
+    line.tax_rate = taxRate;
+    line.tax_amount = roundMoney(taxMode === 'inclusive' ? net * taxRate / (100 + taxRate) : net * taxRate / 100);
+    line.total_price = taxMode === 'inclusive' ? net : roundMoney(net + line.tax_amount);
+  });
+  
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  const manualDiscount = roundMoney(sum('line_discount') + sum('cart_discount'));
+  const discountBase = roundMoney(sum('gross') - sum('promotion_discount'));
+  
+  return {
+    lines,
+    subtotal: sum('gross'),
+    promotion_total: sum('promotion_discount'),
+    discount_total: sum('discount_amount'),
+    tax_total: sum('tax_amount'),
+    tax_rate: taxRate,
+    tax_mode: taxMode,
+    total: sum('total_price'),
+    approval_required: manualDiscount > discountBase * approvalPercent / 100 && 
+      !hasPermission(user, 'sales.discount_approve')
+  };
+}
+
+// A manager approves a large discount at the till by entering their own login.
+// Returns the approving user or an error message.
+async function verifyDiscountApproval(approval) {
+  if (!approval || typeof approval.email !== 'string' || typeof approval.password !== 'string' || !approval.email || !approval.password) {
+    return { error: 'Manager approval is required for this discount' };
+  }
+  
+  const result = await pool.query(
+    "SELECT id, email, password, role, full_name FROM users WHERE email = $1 AND status = 'active'",
+    [approval.email]
+  );
+  const approver = result.rows[0];
+  
+  if (!approver || !(await bcrypt.compare(approval.password, approver.password))) {
+    return { error: 'Approval login is not valid' };
+  }
+  
+  if (!hasPermission(approver, 'sales.discount_approve')) {
+    return { error: 'This user cannot approve discounts' };
+  }
+  
+  return { approver };
+}
+
+// A sale carrying a manager's login is a password check, so it counts against the login limit
+function limitApprovals(req, res, next) {
+  if (req.body && req.body.approval) {
+    return loginLimiter(req, res, next);
+  }
+  next();
+}
+
+// PROMOTION ENDPOINTS
+
+// Check a promotion body; returns the cleaned values or { error }
+async function parsePromotion(db, body) {
+  const name = String(body.name || '').trim();
+  const category = body.category ? String(body.category).trim() : null;
+  const productId = body.product_id ? Number(body.product_id) : null;
+  const startsAt = new Date(body.starts_at);
+  const endsAt = new Date(body.ends_at);
+  
+  if (!name) return { error: 'Name is required' };
+  if (!['buy_x_pay_y', 'percent'].includes(body.type)) return { error: 'type must be buy_x_pay_y or percent' };
+  if (!category && !productId) return { error: 'A category or product is required' };
+  if (productId !== null && !(Number.isInteger(productId) && productId > 0)) return { error: 'product_id must be a product id' };
+  if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) return { error: 'starts_at and ends_at must be valid dates' };
+  if (endsAt <= startsAt) return { error: 'ends_at must be after starts_at' };
+  
+  const promotion = {
+    name,
+    type: body.type,
+    category: productId ? null : category,
+    product_id: productId,
+    buy_quantity: null,
+    pay_quantity: null,
+    percent: null,
+    starts_at: startsAt,
+    ends_at: endsAt,
+    active: body.active !== false
+  };
+  
+  if (body.type === 'buy_x_pay_y') {
+    promotion.buy_quantity = parseInt(body.buy_quantity);
+    promotion.pay_quantity = parseInt(body.pay_quantity);
+    if (!(promotion.buy_quantity > 1) || !(promotion.pay_quantity >= 0) || promotion.pay_quantity >= promotion.buy_quantity) {
+      return { error: 'buy_quantity must be above 1 and pay_quantity below it' };
+    }
+  } else {
+    promotion.percent = parseFloat(body.percent);
+    if (!(promotion.percent > 0) || promotion.percent > 100) {
+      return { error: 'percent must be between 0 and 100' };
+    }
+  }
+  
+  if (productId) {
+    const product = await db.query('SELECT id FROM products WHERE id = $1 AND archived IS NOT TRUE', [productId]);
+    if (product.rows.length === 0) {
+      return { error: 'Product not found' };
+    }
+  }
+  
+  return { promotion };
+}
+
+const PROMOTION_FIELDS = ['name', 'type', 'category', 'product_id', 'buy_quantity', 'pay_quantity', 'percent', 'starts_at', 'ends_at', 'active'];
+
+// List promotions; ?current=true for the ones running now
+app.get('/api/promotions', authenticateToken, requirePermission('products.view'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pr.*, p.name as product_name
+      FROM promotions pr
+      LEFT JOIN products p ON pr.product_id = p.id
+      WHERE $1 = false OR (pr.active AND pr.starts_at <= NOW() AND pr.ends_at > NOW())
+      ORDER BY pr.starts_at DESC
+    `, [req.query.current === 'true']);
+    res.json({ success: true, promotions: result.rows });
+  } catch (error) {
+    console.log('❌ Get promotions error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/promotions', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const parsed = await parsePromotion(pool, req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    
+    const values = PROMOTION_FIELDS.map(field => parsed.promotion[field]);
+    const result = await pool.query(
+      `INSERT INTO promotions (${PROMOTION_FIELDS.join(', ')}, created_by) 
+       VALUES (${PROMOTION_FIELDS.map((field, i) => `$${i + 1}`).join(', ')}, $${PROMOTION_FIELDS.length + 1}) 
+       RETURNING *`,
+      [...values, req.user.id]
+    );
+    
+    await recordAudit(pool, req, { action: 'promotion.created', entityType: 'promotion', entityId: result.rows[0].id, after: result.rows[0] });
+    
+    console.log('✅ Promotion created:', result.rows[0].name, 'by', req.user.email);
+    
+    io.emit('promotion_updated', { type: 'created', promotion: result.rows[0], user: req.user.name });
+    
+    res.json({ success: true, promotion: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Create promotion error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/promotions/:id', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const parsed = await parsePromotion(pool, req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    
+    const before = await pool.query('SELECT * FROM promotions WHERE id = $1', [req.params.id]);
+    
+    const values = PROMOTION_FIELDS.map(field => parsed.promotion[field]);
+    const result = await pool.query(
+      `UPDATE promotions SET ${PROMOTION_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(', ')} 
+       WHERE id = $${PROMOTION_FIELDS.length + 1} RETURNING *`,
+      [...values, req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+    
+    await recordAudit(pool, req, { action: 'promotion.updated', entityType: 'promotion', entityId: req.params.id, before: before.rows[0], after: result.rows[0] });
+    
+    console.log('✅ Promotion updated:', result.rows[0].name, 'by', req.user.email);
+    
+    io.emit('promotion_updated', { type: 'updated', promotion: result.rows[0], user: req.user.name });
+    
+    res.json({ success: true, promotion: result.rows[0] });
+  } catch (error) {
+    console.log('❌ Update promotion error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a promotion - switches it off instead when sales already used it
+app.delete('/api/promotions/:id', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  let client;
+  
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const before = await client.query('SELECT * FROM promotions WHERE id = $1 FOR UPDATE', [req.params.id]);
+    
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+    
+    const usage = await client.query('SELECT EXISTS (SELECT 1 FROM sale_items WHERE promotion_id = $1) as used', [req.params.id]);
+    const deactivated = usage.rows[0].used;
+    
+    let promotion = before.rows[0];
+    if (deactivated) {
+      const result = await client.query('UPDATE promotions SET active = false WHERE id = $1 RETURNING *', [req.params.id]);
+      promotion = result.rows[0];
+    } else {
+      await client.query('DELETE FROM promotions WHERE id = $1', [req.params.id]);
+    }
+    
+    await recordAudit(client, req, {
+      action: deactivated ? 'promotion.deactivated' : 'promotion.deleted',
+      entityType: 'promotion',
+      entityId: req.params.id,
+      before: before.rows[0],
+      after: deactivated ? promotion : undefined
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(deactivated ? '✅ Promotion deactivated:' : '✅ Promotion deleted:', promotion.name, 'by', req.user.email);
+    
+    io.emit('promotion_updated', { type: deactivated ? 'updated' : 'deleted', promotion, user: req.user.name });
+    
+    res.json({ success: true, deactivated, promotion });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Delete promotion error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Price a cart without selling it, so the till can show the real total before payment
+app.post('/api/sales/quote', authenticateToken, requirePermission('sales.create'), async (req, res) => {
+  try {
+    const { items, discount } = req.body;
+    
+    const validationError = validateSaleItems(items) || validateDiscount(discount);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    
+    const pricing = await priceSale(pool, { items, discount, user: req.user, at: null, lock: false });
+    
+    if (pricing.errors) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sale rejected: some items cannot be sold',
+        errors: pricing.errors 
+      });
+    }
+    
+    res.json({ success: true, ...pricing });
+  } catch (error) {
+    console.log('❌ Sale quote error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Receipt numbers look like DS-2026-000123: shop prefix, year, then a counter
+// that restarts each year. The counter row is locked by the sale's transaction,
+// so a failed sale gives its number back and there are no gaps.
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'DS';
+
+async function nextReceiptNumber(client, soldAt) {
+  const result = await client.query(
+    `INSERT INTO receipt_counters (year, last_number) 
+     VALUES (EXTRACT(YEAR FROM COALESCE($1::timestamptz, NOW()))::int, 1)
+     ON CONFLICT (year) DO UPDATE SET last_number = receipt_counters.last_number + 1
+     RETURNING year, last_number`,
+    [soldAt]
+  );
+  const { year, last_number } = result.rows[0];
+  return `${RECEIPT_PREFIX}-${year}-${String(last_number).padStart(6, '0')}`;
+}
+
+// Sales queued by an offline POS may be replayed up to this long after they were made
+const OFFLINE_SALE_MAX_AGE_DAYS = 7;
+
+// Allowed difference between the till's clock and ours
+const CLOCK_DRIFT_MS = 5 * 60 * 1000;
+
+// When the sale actually happened, for sales replayed from an offline queue.
+// Returns { soldAt } (null means now) or { error }.
+function parseSoldAt(value) {
+  if (value === undefined || value === null) {
+    return { soldAt: null };
+  }
+  
+  const soldAt = new Date(value);
+  if (isNaN(soldAt.getTime())) {
+    return { error: 'sold_at must be a valid date' };
+  }
+  
+  if (soldAt.getTime() > Date.now() + CLOCK_DRIFT_MS) {
+    return { error: 'sold_at cannot be in the future' };
+  }
+  
+  if (soldAt.getTime() < Date.now() - OFFLINE_SALE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `sold_at cannot be more than ${OFFLINE_SALE_MAX_AGE_DAYS} days ago` };
+  }
+  
+  return { soldAt };
+}
+
+// Rebuild the POST /api/sales response for a sale that already exists
+async function loadSaleResult(db, saleId) {
+  const saleResult = await db.query('SELECT * FROM sales WHERE id = $1', [saleId]);
+  const itemsResult = await db.query(
+    `SELECT si.product_id, p.name as product_name, si.quantity, si.unit_price, si.total_price,
+       si.discount_amount, si.promotion_id, si.tax_rate, si.tax_amount
+     FROM sale_items si LEFT JOIN products p ON si.product_id = p.id
+     WHERE si.sale_id = $1 ORDER BY si.id`,
+    [saleId]
+  );
+  const paymentsResult = await db.query('SELECT * FROM payments WHERE sale_id = $1 ORDER BY id', [saleId]);
+  const sale = saleResult.rows[0];
+  
+  return { 
+    success: true, 
+    sale, 
+    items: itemsResult.rows, 
+    payments: paymentsResult.rows, 
+    change: parseFloat(sale.change_given) 
+  };
+}
+
+// Create new sale.
+// An Idempotency-Key header makes retries safe: a key that was already used by
+// the same user returns the original sale instead of creating another one, and
+// is refused if the request body has changed.
+app.post('/api/sales', authenticateToken, requirePermission('sales.create'), limitApprovals, async (req, res) => {
+  const { customer, items, payments, discount } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+  
+  if (idempotencyKey && idempotencyKey.length > 100) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be at most 100 characters' });
+  }
+  
+  const { soldAt, error: soldAtError } = parseSoldAt(req.body.sold_at);
+  const validationError = validateSaleItems(items) || validateDiscount(discount) || validatePayments(payments) || soldAtError;
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+  
+  // The request alone can't prove a sale was queued offline, so dating one in
+  // the past needs sales.backdate. submitted_at keeps the time it reached us.
+  if (soldAt && soldAt.getTime() < Date.now() - CLOCK_DRIFT_MS && !hasPermission(req.user, 'sales.backdate')) {
+    return res.status(403).json({ success: false, error: 'Permission required to date a sale in the past' });
+  }
+  
+  // sold_at is left out so an offline replay matches the attempt that lost its connection
+  const requestHash = idempotencyKey 
+    ? hashToken(JSON.stringify({ customer: customer || 'Mteja', items, payments, discount })) 
+    : null;
+  
+  const client = await pool.connect();
+  
+  // Returns the earlier sale for this key, if there is one
+  const findExisting = async () => {
+    if (!idempotencyKey) return null;
+    const existing = await client.query(
+      'SELECT id, idempotency_hash FROM sales WHERE idempotency_key = $1 AND user_id = $2',
+      [idempotencyKey, req.user.id]
+    );
+    if (existing.rows.length === 0) return null;
+    if (existing.rows[0].idempotency_hash && existing.rows[0].idempotency_hash !== requestHash) {
+      return { mismatch: true };
+    }
+    return loadSaleResult(client, existing.rows[0].id);
+  };
+  
+  const replyWithExisting = (existing) => {
+    if (existing.mismatch) {
+      return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different sale' });
+    }
+    console.log('🔁 Repeated sale request:', idempotencyKey, 'sale', existing.sale.id);
+    return res.json({ ...existing, duplicate: true });
+  };
+  
+  try {
+    const existing = await findExisting();
+    if (existing) {
+      return replyWithExisting(existing);
+    }
+    
+    await client.query('BEGIN');
+    
+    const pricing = await priceSale(client, { items, discount, user: req.user, at: soldAt, lock: true });
+    
+    if (pricing.errors) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sale rejected: some items cannot be sold',
+        errors: pricing.errors 
+      });
+    }
+    
+    const { lines, total } = pricing;
+    
+    let approverId = null;
+    if (pricing.approval_required) {
+      const approval = await verifyDiscountApproval(req.body.approval);
+      if (approval.error) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, error: approval.error, approval_required: true });
+      }
+      approverId = approval.approver.id;
+      console.log('✅ Discount approved by', approval.approver.email, 'for', req.user.email);
+    }
+    
+    const payment = allocatePayments(payments, total);
+    if (payment.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: payment.error, total });
+    }
+    
+    // Create sale record
+    const receiptNumber = await nextReceiptNumber(client, soldAt);
+    const saleResult = await client.query(
+      `INSERT INTO sales (date, customer, total, user_id, change_given, idempotency_key, idempotency_hash, receipt_number, created_at,
+         subtotal, discount_total, tax_total, tax_rate, tax_mode, discount_approved_by) 
+       VALUES (COALESCE($6::timestamptz, NOW())::date, $1, $2, $3, $4, $5, $7, $8, COALESCE($6::timestamptz, NOW()),
+         $9, $10, $11, $12, $13, $14) 
+       RETURNING *`,
+      [
+        customer || 'Mteja', total, req.user.id, payment.change, idempotencyKey, soldAt, requestHash, receiptNumber,
+        pricing.subtotal, pricing.discount_total, pricing.tax_total, pricing.tax_rate, pricing.tax_mode, approverId
+      ]
+    );
+    
+    const sale = saleResult.rows[0];
+    
+    // Record how the customer paid
+    const salePayments = [];
+    for (const allocation of payment.allocations) {
+      const paymentResult = await client.query(
+        `INSERT INTO payments (sale_id, method, amount, tendered, reference) 
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [sale.id, allocation.method, allocation.amount, allocation.tendered, allocation.reference]
+      );
+      salePayments.push(paymentResult.rows[0]);
+    }
+    
+    // Create sale items and update product stock
+    const lowStockAlerts = [];
+    for (const line of lines) {
+      // Add sale item
+      await client.query(
+        `INSERT INTO sale_items (sale_id, product_id, quantity, unit_price, total_price, discount_amount, promotion_id, tax_rate, tax_amount) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [sale.id, line.product_id, line.quantity, line.unit_price, line.total_price, 
+         line.discount_amount, line.promotion_id, line.tax_rate, line.tax_amount]
+      );
+      
+      // Update product stock
+      await recordStockMovement(client, {
+        productId: line.product_id,
+        type: 'sale',
+        quantity: -line.quantity,
+        referenceType: 'sale',
+        referenceId: sale.id,
+        userId: req.user.id,
+        alerts: lowStockAlerts
+      });
+    }
+    
+    await recordAudit(client, req, {
+      action: 'sale.created',
+      entityType: 'sale',
+      entityId: sale.id,
+      after: {
+        ...sale,
+        items: lines.map(line => ({
+          product_id: line.product_id,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          price_overridden: Boolean(line.price_overridden),
+          discount_amount: line.discount_amount,
+          total_price: line.total_price
+        })),
+        payments: salePayments.map(({ method, amount, reference }) => ({ method, amount, reference }))
+      }
+    });
+    
+    await client.query('COMMIT');
+    
+    emitLowStock(lowStockAlerts);
+    
+    if (lines.some(line => line.price_overridden)) {
+      console.log('⚠️ Sale with price override:', sale.id, 'by', req.user.email);
+    }
+    
+    if (soldAt) {
+      console.log('📶 Sale with sold_at:', sale.id, 'sold at', soldAt.toISOString(), 'submitted', new Date(sale.submitted_at).toISOString());
+    }
+    
+    // Notify all clients about new sale
+    io.emit('sale_created', {
+      sale: sale,
+      items: lines,
+      user: req.user.name
+    });
+    
+    res.json({ success: true, sale: sale, items: lines, payments: salePayments, change: payment.change });
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    
+    // The same key arrived twice at once; the other request created the sale
+    if (error.code === '23505' && error.constraint === 'sales_idempotency_key_key') {
+      const existing = await findExisting().catch(() => null);
+      if (existing) {
+        return replyWithExisting(existing);
+      }
+      return res.status(409).json({ success: false, error: 'Idempotency-Key already used' });
+    }
+    
+    console.log('❌ Create sale error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Sales, newest first by default. Filters: from, to (sale dates), user_id
+// (cashier), customer, receipt, status, search (receipt number or customer).
+// Sort: created_at, date, total, receipt_number, customer
+app.get('/api/sales', authenticateToken, requirePermission('sales.view'), async (req, res) => {
+  try {
+    const { from, to, user_id, status } = req.query;
+    const search = (req.query.search || '').trim();
+    const customer = (req.query.customer || '').trim();
+    const receipt = (req.query.receipt || '').trim();
+    const pagination = parsePagination(req.query);
+    const sort = parseSort(req.query, {
+      created_at: 's.created_at', date: 's.date', total: 's.total', 
+      receipt_number: 's.receipt_number', customer: 's.customer'
+    }, { sort: 'created_at', order: 'desc' });
+    
+    if (sort.error) {
+      return res.status(400).json({ success: false, error: sort.error });
+    }
+    
+    for (const date of [from, to]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+      }
+    }
+    
+    const filters = sqlConditions();
+    if (from) filters.add('s.date >= ?::date', from);
+    if (to) filters.add('s.date <= ?::date', to);
+    if (user_id) filters.add('s.user_id = ?', parseInt(user_id));
+    if (status) filters.add('s.status = ?', status);
+    if (customer) filters.add('s.customer ILIKE ?', `%${escapeLike(customer)}%`);
+    if (receipt) filters.add('s.receipt_number ILIKE ?', `%${escapeLike(receipt)}%`);
+    if (search) filters.add('(s.receipt_number ILIKE ? OR s.customer ILIKE ?)', `%${escapeLike(search)}%`);
+    
+    const where = filters.where();
+    const { params } = filters;
+    
+    const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM sales s ${where}`, params);
+    const result = await pool.query(`
+      SELECT s.*, u.full_name as user_name,
+        (SELECT COUNT(*) FROM sale_items si WHERE si.sale_id = s.id)::int as item_count,
+        (SELECT COALESCE(SUM(si.quantity), 0) FROM sale_items si WHERE si.sale_id = s.id)::int as item_quantity
+      FROM sales s 
+      LEFT JOIN users u ON s.user_id = u.id 
+      ${where}
+      ORDER BY ${sort.orderBy}, s.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+    
+    res.json({ 
+      success: true, 
+      sales: result.rows, 
+      pagination: paginationInfo(pagination, countResult.rows[0].total) 
+    });
+  } catch (error) {
+    console.log('❌ Get sales error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get single sale with its line items
+app.get('/api/sales/:id', authenticateToken, requirePermission('sales.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const saleResult = await pool.query(`
+      SELECT s.*, u.full_name as user_name 
+      FROM sales s 
+      LEFT JOIN users u ON s.user_id = u.id 
+      WHERE s.id = $1
+    `, [id]);
+    
+    if (saleResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Sale not found' });
+    }
+    
+    const items = await pool.query(`
+      SELECT si.*, p.name as product_name, p.category 
+      FROM sale_items si 
+      LEFT JOIN products p ON si.product_id = p.id 
+      WHERE si.sale_id = $1 
+      ORDER BY si.id
+    `, [id]);
+    
+    const payments = await pool.query(
+      'SELECT * FROM payments WHERE sale_id = $1 ORDER BY id',
+      [id]
+    );
+    
+    res.json({ success: true, sale: saleResult.rows[0], items: items.rows, payments: payments.rows });
+  } catch (error) {
+    console.log('❌ Get sale error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// REFUND ENDPOINTS
+
+// Record a refund, restock the returned quantities and update the sale status.
+// Must run inside an open transaction with the sale and its items locked.
+async function recordRefund(client, { sale, type, reason, lines, userId }) {
+  // Each line refunds its share of what was actually charged, after discounts and
+  // VAT. Working from the running total means a full return refunds the line exactly.
+  const lineRefund = (line) => {
+    const charged = parseFloat(line.total_price);
+    const before = roundMoney(charged * line.returned_quantity / line.sold_quantity);
+    const after = roundMoney(charged * (line.returned_quantity + line.quantity) / line.sold_quantity);
+    return roundMoney(after - before);
+  };
+  const amount = roundMoney(lines.reduce((sum, line) => sum + lineRefund(line), 0));
+  
+  const refundResult = await client.query(
+    `INSERT INTO refunds (sale_id, type, amount, reason, user_id) 
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [sale.id, type, amount, reason, userId]
+  );
+  const refund = refundResult.rows[0];
+  
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO refund_items (refund_id, sale_item_id, product_id, quantity, amount) 
+       VALUES ($1, $2, $3, $4, $5)`,
+      [refund.id, line.id, line.product_id, line.quantity, lineRefund(line)]
+    );
+    
+    await client.query(
+      'UPDATE sale_items SET returned_quantity = returned_quantity + $1 WHERE id = $2',
+      [line.quantity, line.id]
+    );
+    
+    // Put returned goods back on the shelf
+    await recordStockMovement(client, {
+      productId: line.product_id,
+      type: 'return',
+      quantity: line.quantity,
+      note: reason,
+      referenceType: 'refund',
+      referenceId: refund.id,
+      userId
+    });
+  }
+  
+  const remaining = await client.query(
+    'SELECT COALESCE(SUM(quantity - returned_quantity), 0) as count FROM sale_items WHERE sale_id = $1',
+    [sale.id]
+  );
+  
+  let status = 'partially_refunded';
+  if (parseInt(remaining.rows[0].count) === 0) {
+    status = type === 'void' ? 'voided' : 'refunded';
+  }
+  
+  const saleResult = await client.query(
+    'UPDATE sales SET refunded_total = refunded_total + $1, status = $2 WHERE id = $3 RETURNING *',
+    [amount, status, sale.id]
+  );
+  
+  return { refund, sale: saleResult.rows[0] };
+}
+
+// Get refund status of a sale: returnable lines and refund history
+app.get('/api/sales/:id/refunds', authenticateToken, requirePermission('sales.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const saleResult = await pool.query('SELECT * FROM sales WHERE id = $1', [id]);
+    
+    if (saleResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Sale not found' });
+    }
+    
+    const items = await pool.query(`
+      SELECT si.*, p.name as product_name, (si.quantity - si.returned_quantity) as returnable_quantity
+      FROM sale_items si
+      LEFT JOIN products p ON si.product_id = p.id
+      WHERE si.sale_id = $1
+      ORDER BY si.id
+    `, [id]);
+    
+    const refunds = await pool.query(`
+      SELECT r.*, u.full_name as user_name
+      FROM refunds r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.sale_id = $1
+      ORDER BY r.created_at DESC
+    `, [id]);
+    
+    res.json({ 
+      success: true, 
+      sale: saleResult.rows[0], 
+      items: items.rows, 
+      refunds: refunds.rows 
+    });
+  } catch (error) {
+    console.log('❌ Get refunds error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Voids and returns need a written reason
+function parseRefundReason(body) {
+  if (typeof body.reason !== 'string' || !body.reason.trim()) {
+    return { error: 'A reason is required' };
+  }
+  return { reason: body.reason.trim() };
+}
+
+// Void a whole sale
+app.post('/api/sales/:id/void', authenticateToken, requirePermission('sales.refund'), async (req, res) => {
+  const { id } = req.params;
+  let client;
+  
+  try {
+    const { reason, error } = parseRefundReason(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const saleResult = await client.query('SELECT * FROM sales WHERE id = $1 FOR UPDATE', [id]);
+    
+    if (saleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Sale not found' });
+    }
+    
+    const itemsResult = await client.query(
+      'SELECT * FROM sale_items WHERE sale_id = $1 ORDER BY id FOR UPDATE',
+      [id]
+    );
+    
+    // Void everything that hasn't already been returned
+    const lines = itemsResult.rows
+      .filter(item => item.quantity > item.returned_quantity)
+      .map(item => ({ ...item, sold_quantity: item.quantity, quantity: item.quantity - item.returned_quantity }));
+    
+    if (lines.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Sale is already fully refunded' });
+    }
+    
+    const result = await recordRefund(client, {
+      sale: saleResult.rows[0],
+      type: 'void',
+      reason,
+      lines,
+      userId: req.user.id
+    });
+    
+    await recordAudit(client, req, {
+      action: 'sale.voided',
+      entityType: 'sale',
+      entityId: id,
+      before: saleResult.rows[0],
+      after: { ...result.sale, refund: result.refund }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('✅ Sale voided:', id, 'by', req.user.email);
+    
+    io.emit('sale_refunded', {
+      type: 'void',
+      sale: result.sale,
+      refund: result.refund,
       user: req.user.name
     });
     
-    res.json({ success: true, product: result.rows[0] });
+    res.json({ success: true, sale: result.sale, refund: result.refund });
+    
   } catch (error) {
-    console.log('❌ Update stock error:', error.message);
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Void sale error:', error.message);
     res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
-// SALES ENDPOINTS
-
-// Create new sale
-app.post('/api/sales', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
+// Return specific sale lines
+app.post('/api/sales/:id/returns', authenticateToken, requirePermission('sales.refund'), async (req, res) => {
+  const { id } = req.params;
+  const { items } = req.body;
+  let client;
   
   try {
+    const { reason, error } = parseRefundReason(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'Items must be a non-empty array' });
+    }
+    
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      if (!item || typeof item !== 'object' || !Number.isInteger(item.sale_item_id) || item.sale_item_id <= 0) {
+        return res.status(400).json({ success: false, error: `Item ${i + 1}: sale_item_id must be a positive integer` });
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        return res.status(400).json({ success: false, error: `Item ${i + 1}: quantity must be a positive integer` });
+      }
+    }
+    
+    client = await pool.connect();
     await client.query('BEGIN');
     
-    const { customer, items } = req.body;
-    const total = items.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0);
+    const saleResult = await client.query('SELECT * FROM sales WHERE id = $1 FOR UPDATE', [id]);
     
-    // Create sale record
-    const saleResult = await client.query(
-      `INSERT INTO sales (date, customer, total, user_id) 
-       VALUES (CURRENT_DATE, $1, $2, $3) RETURNING *`,
-      [customer, total, req.user.id]
+    if (saleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Sale not found' });
+    }
+    
+    const itemsResult = await client.query(
+      'SELECT * FROM sale_items WHERE sale_id = $1 ORDER BY id FOR UPDATE',
+      [id]
     );
+    const saleItemsById = new Map(itemsResult.rows.map(item => [item.id, item]));
     
-    const sale = saleResult.rows[0];
+    // Sum per line so duplicate entries can't return more than was sold
+    const requested = new Map();
+    items.forEach(item => {
+      requested.set(item.sale_item_id, (requested.get(item.sale_item_id) || 0) + item.quantity);
+    });
     
-    // Create sale items and update product stock
-    for (const item of items) {
-      // Add sale item
-      await client.query(
-        `INSERT INTO sale_items (sale_id, product_id, quantity, unit_price, total_price) 
-         VALUES ($1, $2, $3, $4, $5)`,
-        [sale.id, item.product_id, item.quantity, item.unit_price, item.quantity * item.unit_price]
-      );
+    const errors = [];
+    const lines = [];
+    
+    requested.forEach((quantity, saleItemId) => {
+      const saleItem = saleItemsById.get(saleItemId);
       
-      // Update product stock
-      await client.query(
-        'UPDATE products SET stock = stock - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+      if (!saleItem) {
+        errors.push({ sale_item_id: saleItemId, error: 'Line does not belong to this sale' });
+        return;
+      }
+      
+      const returnable = saleItem.quantity - saleItem.returned_quantity;
+      if (quantity > returnable) {
+        errors.push({
+          sale_item_id: saleItemId,
+          error: `Only ${returnable} can be returned, ${quantity} requested`,
+          returnable
+        });
+        return;
+      }
+      
+      lines.push({ ...saleItem, sold_quantity: saleItem.quantity, quantity });
+    });
+    
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Return rejected: some lines cannot be returned',
+        errors 
+      });
     }
     
+    const result = await recordRefund(client, {
+      sale: saleResult.rows[0],
+      type: 'return',
+      reason,
+      lines,
+      userId: req.user.id
+    });
+    
+    await recordAudit(client, req, {
+      action: 'sale.returned',
+      entityType: 'sale',
+      entityId: id,
+      before: saleResult.rows[0],
+      after: { ...result.sale, refund: result.refund }
+    });
+    
     await client.query('COMMIT');
     
-    // Notify all clients about new sale
-    io.emit('sale_created', {
-      sale: sale,
-      items: items,
+    console.log('✅ Sale return recorded:', id, 'by', req.user.email);
+    
+    io.emit('sale_refunded', {
+      type: 'return',
+      sale: result.sale,
+      refund: result.refund,
       user: req.user.name
     });
     
-    res.json({ success: true, sale: sale });
+    res.json({ success: true, sale: result.sale, refund: result.refund });
     
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.log('❌ Create sale error:', error.message);
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.log('❌ Sale return error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   } finally {
-    client.release();
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// REPORT ENDPOINTS
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read ?from=&to=&category= from a report request. Dates default to today as the
+// database sees it, since sales.date is the database's date and not UTC.
+async function parseReportFilters(query) {
+  let today = null;
+  if (!query.from || !query.to) {
+    const result = await pool.query("SELECT to_char(CURRENT_DATE, 'YYYY-MM-DD') as today");
+    today = result.rows[0].today;
+  }
+  const from = query.from || today;
+  const to = query.to || today;
+  
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  
+  if (from > to) {
+    return { error: '"from" must not be after "to"' };
+  }
+  
+  return { from, to, category: query.category || null };
+}
+
+// Sold lines net of returns, with cost taken from the product purchase price.
+// Amounts are what the customer was charged (after discounts, including VAT);
+// VAT is collected for the government so it is left out of gross profit.
+// Parameters: $1 from date, $2 to date, $3 category (or NULL for all).
+const REPORT_LINES_CTE = `
+  WITH report_lines AS (
+    SELECT 
+      s.id as sale_id,
+      s.date,
+      s.user_id,
+      si.product_id,
+      p.name as product_name,
+      p.category,
+      (si.quantity - si.returned_quantity) as quantity,
+      si.total_price as gross,
+      si.total_price * (si.quantity - si.returned_quantity) / si.quantity as revenue,
+      COALESCE(si.discount_amount, 0) * (si.quantity - si.returned_quantity) / si.quantity as discount,
+      COALESCE(si.tax_amount, 0) * (si.quantity - si.returned_quantity) / si.quantity as tax,
+      (si.quantity - si.returned_quantity) * p.purchase_price as cost
+    FROM sale_items si
+    JOIN sales s ON si.sale_id = s.id
+    JOIN products p ON si.product_id = p.id
+    WHERE s.date BETWEEN $1 AND $2
+      AND ($3::text IS NULL OR p.category = $3)
+  )
+`;
+
+const REPORT_TOTALS_SELECT = `
+  COUNT(DISTINCT sale_id)::int as sales_count,
+  COALESCE(SUM(quantity), 0)::int as quantity,
+  COALESCE(SUM(gross), 0) as gross,
+  COALESCE(SUM(gross - revenue), 0) as refunded,
+  COALESCE(SUM(revenue), 0) as revenue,
+  COALESCE(SUM(discount), 0) as discount,
+  COALESCE(SUM(tax), 0) as tax,
+  COALESCE(SUM(cost), 0) as cost,
+  COALESCE(SUM(revenue - tax - cost), 0) as gross_profit
+`;
+
+// pg returns DECIMAL sums as strings
+function formatReportRow(row) {
+  const formatted = { ...row };
+  ['gross', 'refunded', 'revenue', 'discount', 'tax', 'cost', 'gross_profit'].forEach(field => {
+    if (formatted[field] !== undefined) {
+      formatted[field] = roundMoney(parseFloat(formatted[field]));
+    }
+  });
+  return formatted;
+}
+
+async function runLinesReport(filters, groupSelect, groupBy, orderBy) {
+  const result = await pool.query(`
+    ${REPORT_LINES_CTE}
+    SELECT ${groupSelect}, ${REPORT_TOTALS_SELECT}
+    FROM report_lines
+    GROUP BY ${groupBy}
+    ORDER BY ${orderBy}
+  `, [filters.from, filters.to, filters.category]);
+  
+  return result.rows.map(formatReportRow);
+}
+
+async function loadReportSummary(filters) {
+  const result = await pool.query(`
+    ${REPORT_LINES_CTE}
+    SELECT ${REPORT_TOTALS_SELECT}
+    FROM report_lines
+  `, [filters.from, filters.to, filters.category]);
+  
+  return formatReportRow(result.rows[0]);
+}
+
+// groupBy must already be whitelisted, it is inlined into the query
+function loadSalesReport(filters, groupBy) {
+  return runLinesReport(
+    filters,
+    `to_char(date_trunc('${groupBy}', date), 'YYYY-MM-DD') as period`,
+    'period',
+    'period'
+  );
+}
+
+function loadProductReport(filters) {
+  return runLinesReport(
+    filters,
+    'product_id, product_name, category',
+    'product_id, product_name, category',
+    'revenue DESC'
+  );
+}
+
+function loadCategoryReport(filters) {
+  return runLinesReport(filters, 'category', 'category', 'revenue DESC');
+}
+
+function loadCashierReport(filters) {
+  return runLinesReport(
+    filters,
+    "user_id, COALESCE((SELECT full_name FROM users u WHERE u.id = report_lines.user_id), '-') as user_name",
+    'user_id',
+    'revenue DESC'
+  );
+}
+
+async function loadStockReport(category) {
+  const result = await pool.query(`
+    SELECT id, name, category, stock, reorder_level, purchase_price, selling_price,
+      stock * purchase_price as cost_value,
+      stock * selling_price as retail_value
+    FROM products
+    WHERE archived IS NOT TRUE
+      AND ($1::text IS NULL OR category = $1)
+    ORDER BY category, name
+  `, [category]);
+  
+  const rows = result.rows.map(row => ({
+    ...withReorderPoint(row),
+    purchase_price: parseFloat(row.purchase_price),
+    selling_price: parseFloat(row.selling_price),
+    cost_value: parseFloat(row.cost_value),
+    retail_value: parseFloat(row.retail_value)
+  }));
+  
+  const totals = {
+    products: rows.length,
+    units: rows.reduce((sum, row) => sum + row.stock, 0),
+    cost_value: roundMoney(rows.reduce((sum, row) => sum + row.cost_value, 0)),
+    retail_value: roundMoney(rows.reduce((sum, row) => sum + row.retail_value, 0)),
+    low_stock: rows.filter(isLowStock).length
+  };
+  
+  return { rows, totals };
+}
+
+async function loadPaymentsReport(filters) {
+  const result = await pool.query(`
+    SELECT p.method, COUNT(DISTINCT p.sale_id)::int as sales_count, COALESCE(SUM(p.amount), 0) as total
+    FROM payments p
+    JOIN sales s ON p.sale_id = s.id
+    WHERE s.date BETWEEN $1 AND $2
+    GROUP BY p.method
+    ORDER BY total DESC
+  `, [filters.from, filters.to]);
+  
+  const refunds = await pool.query(`
+    SELECT COALESCE(SUM(r.amount), 0) as total
+    FROM refunds r
+    JOIN sales s ON r.sale_id = s.id
+    WHERE s.date BETWEEN $1 AND $2
+  `, [filters.from, filters.to]);
+  
+  const methods = result.rows.map(row => ({ ...row, total: parseFloat(row.total) }));
+  const gross = methods.reduce((sum, row) => sum + row.total, 0);
+  const refunded = parseFloat(refunds.rows[0].total);
+  
+  return { methods, gross: roundMoney(gross), refunded, net: roundMoney(gross - refunded) };
+}
+
+// EXPORT HELPERS
+
+const REPORT_TOTAL_COLUMNS = [
+  { key: 'sales_count', label: 'Sales' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'gross', label: 'Gross' },
+  { key: 'refunded', label: 'Refunded' },
+  { key: 'revenue', label: 'Net Revenue' },
+  { key: 'discount', label: 'Discounts' },
+  { key: 'tax', label: 'VAT' },
+  { key: 'cost', label: 'Cost' },
+  { key: 'gross_profit', label: 'Gross Profit' }
+];
+
+const STOCK_COLUMNS = [
+  { key: 'name', label: 'Product' },
+  { key: 'category', label: 'Category' },
+  { key: 'stock', label: 'Stock' },
+  { key: 'reorder_point', label: 'Reorder Level' },
+  { key: 'purchase_price', label: 'Purchase Price' },
+  { key: 'selling_price', label: 'Selling Price' },
+  { key: 'cost_value', label: 'Cost Value' },
+  { key: 'retail_value', label: 'Retail Value' }
+];
+
+const PAYMENT_COLUMNS = [
+  { key: 'method', label: 'Method' },
+  { key: 'sales_count', label: 'Sales' },
+  { key: 'total', label: 'Total' }
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  
+  // Stop spreadsheet apps from treating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write rows out as a CSV download, one line at a time
+function sendCsv(res, filename, columns, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  // BOM so Excel opens the file as UTF-8
+  res.write('\ufeff' + columns.map(column => csvValue(column.label)).join(',') + '\r\n');
+  rows.forEach(row => {
+    res.write(columns.map(column => csvValue(row[column.key])).join(',') + '\r\n');
+  });
+  res.end();
+}
+
+function reportFilename(name, filters, extension) {
+  const range = filters.from ? `_${filters.from}_${filters.to}` : '';
+  const category = filters.category ? `_${filters.category}` : '';
+  return `${name}${range}${category}.${extension}`;
+}
+
+// Draw a simple table, starting a new page when the current one is full
+function pdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = tableWidth / columns.length;
+  
+  const drawRow = (values, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    values.forEach((value, index) => {
+      doc.text(value, left + index * columnWidth, y, {
+        width: columnWidth - 4,
+        align: index === 0 ? 'left' : 'right',
+        lineBreak: false,
+        ellipsis: true
+      });
+    });
+    doc.x = left;
+    doc.y = y + 14;
+  };
+  
+  drawRow(columns.map(column => column.label), true);
+  rows.forEach(row => {
+    drawRow(columns.map(column => {
+      const value = row[column.key];
+      return typeof value === 'number' ? value.toLocaleString('en-US') : String(value ?? '');
+    }), false);
+  });
+  doc.moveDown();
+}
+
+function pdfHeading(doc, text) {
+  doc.font('Helvetica-Bold').fontSize(12).text(text, doc.page.margins.left);
+  doc.moveDown(0.3);
+}
+
+function startPdf(res, filename, title, subtitle) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+  
+  doc.font('Helvetica-Bold').fontSize(18).text(title, { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(subtitle, { align: 'center' });
+  doc.text(`Generated ${new Date().toLocaleString('en-GB')}`, { align: 'center' });
+  doc.moveDown();
+  
+  return doc;
+}
+
+// Overall totals for a date range
+app.get('/api/reports/summary', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const summary = await loadReportSummary(filters);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('summary', filters, 'csv'), REPORT_TOTAL_COLUMNS, [summary]);
+    }
+    
+    res.json({ success: true, ...filters, summary });
+  } catch (error) {
+    console.log('❌ Summary report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sales grouped by day, week or month
+app.get('/api/reports/sales', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const groupBy = req.query.group_by || 'day';
+    if (!['day', 'week', 'month'].includes(groupBy)) {
+      return res.status(400).json({ success: false, error: 'group_by must be day, week or month' });
+    }
+    
+    const rows = await loadSalesReport(filters, groupBy);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename(`sales_by_${groupBy}`, filters, 'csv'), [
+        { key: 'period', label: 'Period' },
+        ...REPORT_TOTAL_COLUMNS
+      ], rows);
+    }
+    
+    res.json({ success: true, ...filters, group_by: groupBy, rows });
+  } catch (error) {
+    console.log('❌ Sales report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sales per product
+app.get('/api/reports/products', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const rows = await loadProductReport(filters);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('sales_by_product', filters, 'csv'), [
+        { key: 'product_id', label: 'Product ID' },
+        { key: 'product_name', label: 'Product' },
+        { key: 'category', label: 'Category' },
+        ...REPORT_TOTAL_COLUMNS
+      ], rows);
+    }
+    
+    res.json({ success: true, ...filters, rows });
+  } catch (error) {
+    console.log('❌ Product report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sales per category
+app.get('/api/reports/categories', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const rows = await loadCategoryReport(filters);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('sales_by_category', filters, 'csv'), [
+        { key: 'category', label: 'Category' },
+        ...REPORT_TOTAL_COLUMNS
+      ], rows);
+    }
+    
+    res.json({ success: true, ...filters, rows });
+  } catch (error) {
+    console.log('❌ Category report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sales per cashier
+app.get('/api/reports/cashiers', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const rows = await loadCashierReport(filters);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('sales_by_cashier', filters, 'csv'), [
+        { key: 'user_id', label: 'User ID' },
+        { key: 'user_name', label: 'Cashier' },
+        ...REPORT_TOTAL_COLUMNS
+      ], rows);
+    }
+    
+    res.json({ success: true, ...filters, rows });
+  } catch (error) {
+    console.log('❌ Cashier report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Current stock levels and value
+app.get('/api/reports/stock', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const category = req.query.category || null;
+    const { rows, totals } = await loadStockReport(category);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('stock', { category }, 'csv'), STOCK_COLUMNS, rows);
+    }
+    
+    if (req.query.format === 'pdf') {
+      const doc = startPdf(
+        res,
+        reportFilename('stock', { category }, 'pdf'),
+        'Stock Report',
+        category ? `Category: ${category}` : 'All categories'
+      );
+      
+      pdfHeading(doc, 'Totals');
+      pdfTable(doc, [
+        { key: 'products', label: 'Products' },
+        { key: 'units', label: 'Units' },
+        { key: 'cost_value', label: 'Cost Value' },
+        { key: 'retail_value', label: 'Retail Value' },
+        { key: 'low_stock', label: 'Low Stock' }
+      ], [totals]);
+      
+      pdfHeading(doc, 'Products');
+      pdfTable(doc, STOCK_COLUMNS, rows);
+      
+      doc.end();
+      return;
+    }
+    
+    res.json({ success: true, category, rows, totals });
+  } catch (error) {
+    console.log('❌ Stock report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Totals per payment method
+app.get('/api/reports/payments', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const report = await loadPaymentsReport(filters);
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('payments', filters, 'csv'), PAYMENT_COLUMNS, report.methods);
+    }
+    
+    res.json({ success: true, from: filters.from, to: filters.to, ...report });
+  } catch (error) {
+    console.log('❌ Payments report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Full business report: summary plus every breakdown for the range
+app.get('/api/reports/business', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const [summary, categories, products, cashiers, payments] = await Promise.all([
+      loadReportSummary(filters),
+      loadCategoryReport(filters),
+      loadProductReport(filters),
+      loadCashierReport(filters),
+      loadPaymentsReport(filters)
+    ]);
+    
+    if (req.query.format === 'csv') {
+      // One flat sheet: a section column tells the breakdowns apart
+      const rows = [
+        { section: 'summary', name: 'Total', ...summary },
+        ...categories.map(row => ({ section: 'category', name: row.category, ...row })),
+        ...products.map(row => ({ section: 'product', name: row.product_name, ...row })),
+        ...cashiers.map(row => ({ section: 'cashier', name: row.user_name, ...row }))
+      ];
+      return sendCsv(res, reportFilename('business', filters, 'csv'), [
+        { key: 'section', label: 'Section' },
+        { key: 'name', label: 'Name' },
+        ...REPORT_TOTAL_COLUMNS
+      ], rows);
+    }
+    
+    if (req.query.format === 'pdf') {
+      const doc = startPdf(
+        res,
+        reportFilename('business', filters, 'pdf'),
+        'Business Report',
+        `${filters.from} to ${filters.to}${filters.category ? ` - Category: ${filters.category}` : ''}`
+      );
+      
+      pdfHeading(doc, 'Summary');
+      pdfTable(doc, REPORT_TOTAL_COLUMNS, [summary]);
+      
+      pdfHeading(doc, 'Sales by Category');
+      pdfTable(doc, [{ key: 'category', label: 'Category' }, ...REPORT_TOTAL_COLUMNS.slice(1)], categories);
+      
+      pdfHeading(doc, 'Sales by Product');
+      pdfTable(doc, [{ key: 'product_name', label: 'Product' }, ...REPORT_TOTAL_COLUMNS.slice(1)], products);
+      
+      pdfHeading(doc, 'Sales by Cashier');
+      pdfTable(doc, [{ key: 'user_name', label: 'Cashier' }, ...REPORT_TOTAL_COLUMNS.slice(1)], cashiers);
+      
+      pdfHeading(doc, 'Payments by Method');
+      pdfTable(doc, PAYMENT_COLUMNS, payments.methods);
+      
+      doc.end();
+      return;
+    }
+    
+    res.json({ success: true, ...filters, summary, categories, products, cashiers, payments });
+  } catch (error) {
+    console.log('❌ Business report error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all sales
-app.get('/api/sales', authenticateToken, async (req, res) => {
+// EXPORT ENDPOINTS
+
+// Product list as CSV
+app.get('/api/exports/products', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
+    const category = req.query.category || null;
+    const includeArchived = req.query.include_archived === 'true';
+    
     const result = await pool.query(`
-      SELECT s.*, u.full_name as user_name 
-      FROM sales s 
-      LEFT JOIN users u ON s.user_id = u.id 
-      ORDER BY s.created_at DESC
-    `);
-    res.json({ success: true, sales: result.rows });
+      SELECT * FROM products
+      WHERE ($1::text IS NULL OR category = $1)
+        AND ($2 OR archived IS NOT TRUE)
+      ORDER BY name
+    `, [category, includeArchived]);
+    
+    sendCsv(res, reportFilename('products', { category }, 'csv'), [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'Name' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'barcode', label: 'Barcode' },
+      { key: 'category', label: 'Category' },
+      { key: 'purchase_price', label: 'Purchase Price' },
+      { key: 'selling_price', label: 'Selling Price' },
+      { key: 'stock', label: 'Stock' },
+      { key: 'archived', label: 'Archived' },
+      { key: 'updated_at', label: 'Updated At' }
+    ], result.rows);
   } catch (error) {
-    console.log('❌ Get sales error:', error.message);
+    console.log('❌ Export products error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sales list with one row per line item
+app.get('/api/exports/sales', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const filters = await parseReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+    
+    const result = await pool.query(`
+      SELECT s.id as sale_id, s.receipt_number, to_char(s.date, 'YYYY-MM-DD') as date, s.customer, u.full_name as user_name,
+        s.status, s.subtotal as sale_subtotal, s.discount_total as sale_discount, s.tax_total as sale_tax,
+        s.tax_mode, s.total as sale_total, s.refunded_total,
+        p.name as product_name, p.category, si.quantity, si.returned_quantity, si.unit_price,
+        si.discount_amount, si.tax_rate, si.tax_amount, si.total_price
+      FROM sales s
+      JOIN sale_items si ON si.sale_id = s.id
+      LEFT JOIN products p ON si.product_id = p.id
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.date BETWEEN $1 AND $2
+        AND ($3::text IS NULL OR p.category = $3)
+      ORDER BY s.id, si.id
+    `, [filters.from, filters.to, filters.category]);
+    
+    sendCsv(res, reportFilename('sales', filters, 'csv'), [
+      { key: 'sale_id', label: 'Sale ID' },
+      { key: 'receipt_number', label: 'Receipt Number' },
+      { key: 'date', label: 'Date' },
+      { key: 'customer', label: 'Customer' },
+      { key: 'user_name', label: 'Cashier' },
+      { key: 'status', label: 'Status' },
+      { key: 'sale_subtotal', label: 'Sale Subtotal' },
+      { key: 'sale_discount', label: 'Sale Discount' },
+      { key: 'sale_tax', label: 'Sale Tax' },
+      { key: 'tax_mode', label: 'Tax Mode' },
+      { key: 'sale_total', label: 'Sale Total' },
+      { key: 'refunded_total', label: 'Sale Refunded' },
+      { key: 'product_name', label: 'Product' },
+      { key: 'category', label: 'Category' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'returned_quantity', label: 'Returned' },
+      { key: 'unit_price', label: 'Unit Price' },
+      { key: 'discount_amount', label: 'Line Discount' },
+      { key: 'tax_rate', label: 'Tax Rate' },
+      { key: 'tax_amount', label: 'Line Tax' },
+      { key: 'total_price', label: 'Line Total' }
+    ], result.rows);
+  } catch (error) {
+    console.log('❌ Export sales error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // DASHBOARD STATS
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+app.get('/api/dashboard/stats', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0];
     
-    // Today's sales
+    // Today's sales, net of refunds
     const todaySales = await pool.query(
-      'SELECT COALESCE(SUM(total), 0) as total FROM sales WHERE date = $1',
+      'SELECT COALESCE(SUM(total - refunded_total), 0) as total FROM sales WHERE date = $1',
       [today]
     );
     
     // Total products
-    const totalProducts = await pool.query('SELECT COUNT(*) as count FROM products');
+    const totalProducts = await pool.query('SELECT COUNT(*) as count FROM products WHERE archived IS NOT TRUE');
     
     // Low stock products
-    const lowStock = await pool.query('SELECT COUNT(*) as count FROM products WHERE stock < 10');
+    const stockLevels = await pool.query(
+      'SELECT category, stock, reorder_level FROM products WHERE archived IS NOT TRUE'
+    );
     
     // Total users
     const totalUsers = await pool.query('SELECT COUNT(*) as count FROM users WHERE status = $1', ['active']);
@@ -611,7 +5485,7 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
       stats: {
         todaySales: parseFloat(todaySales.rows[0].total),
         totalProducts: parseInt(totalProducts.rows[0].count),
-        lowStock: parseInt(lowStock.rows[0].count),
+        lowStock: stockLevels.rows.filter(isLowStock).length,
         totalUsers: parseInt(totalUsers.rows[0].count),
         pendingUsers: parseInt(pendingUsers.rows[0].count)
       }
@@ -657,12 +5531,12 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Start server
-initializeDatabase().then(() => {
+// Start server; pending migrations are applied first (see migrate.js)
+migrateUp(pool).then(pruneSessions).then(refreshSettings).then(() => {
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌐 Website: http://localhost:${PORT}`);
-    console.log(`📊 Database initialized successfully`);
+    console.log(`📊 Database schema up to date`);
     console.log(`🔧 Health check: http://localhost:${PORT}/health`);
   });
 }).catch(error => {
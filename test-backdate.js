@@ -0,0 +1,52 @@
+require('dotenv').config();
+
+// Runs against a live server: a cashier posting a past sold_at must get 403,
+// even with an Idempotency-Key like the offline queue sends.
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+async function testBackdate() {
+  try {
+    const login = await fetch(`${API_URL}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: process.env.CASHIER_EMAIL, password: process.env.CASHIER_PASSWORD })
+    });
+    const { token, user } = await login.json();
+    if (!token) {
+      throw new Error('Set CASHIER_EMAIL and CASHIER_PASSWORD to an active cashier');
+    }
+    console.log('🔐 Logged in as:', user.email, `(${user.role})`);
+
+    const products = await fetch(`${API_URL}/api/products?limit=1`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    }).then(response => response.json());
+    const product = products.products[0];
+
+    const response = await fetch(`${API_URL}/api/sales`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        'Idempotency-Key': `test-backdate-${Date.now()}`
+      },
+      body: JSON.stringify({
+        items: [{ product_id: product.id, quantity: 1 }],
+        payments: [{ method: 'cash', amount: parseFloat(product.selling_price) }],
+        sold_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+      })
+    });
+    const data = await response.json();
+
+    if (response.status === 403) {
+      console.log('✅ Backdated sale refused:', data.error);
+    } else {
+      console.log('❌ Expected 403, got', response.status, data);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.log('❌ Test error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testBackdate();
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+// Runs against a live server: an admin must not be able to list a superadmin's sessions.
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+async function testUserSessions() {
+  try {
+    const login = await fetch(`${API_URL}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD })
+    });
+    const { token, user } = await login.json();
+    if (!token || user.role !== 'admin') {
+      throw new Error('Set ADMIN_EMAIL and ADMIN_PASSWORD to an active admin (not a superadmin)');
+    }
+    console.log('🔐 Logged in as:', user.email, `(${user.role})`);
+
+    const users = await fetch(`${API_URL}/api/users?role=superadmin&limit=1`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    }).then(response => response.json());
+    const superadmin = users.users[0];
+    if (!superadmin) {
+      throw new Error('No superadmin found');
+    }
+
+    const response = await fetch(`${API_URL}/api/users/${superadmin.id}/sessions`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+
+    if (response.status === 403) {
+      console.log('✅ Superadmin sessions hidden:', data.error);
+    } else {
+      console.log('❌ Expected 403, got', response.status, data);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.log('❌ Test error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testUserSessions();